@@ -1,9 +1,45 @@
-import { useState, useEffect, useRef } from 'react';
-import { io } from 'socket.io-client';
-import { StyleSheet, Text, View, TouchableOpacity, Platform, Alert, ScrollView, RefreshControl, ActivityIndicator } from 'react-native';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Platform, Alert, SectionList, RefreshControl, ActivityIndicator, AppState, Linking } from 'react-native';
 import * as Device from 'expo-device';
 import * as Notifications from 'expo-notifications';
-import Constants from 'expo-constants';
+import { API_CONFIG, APP_CONFIG, logConfiguration } from './config';
+import { registerDevice, unregisterDevice, sendImmediate, createMessage, updateMessage, cancelMessage, setUnauthorizedHandler } from './api';
+import { loadCachedMessages, saveCachedMessages, reconcileMessages, applyMessageDelta, reconcileNewestPage, appendMessagePage } from './messageCache';
+import { syncMessages, fetchMessagePage, fetchMessage } from './messageSync';
+import { createSocketManager, SOCKET_STATES } from './socketManager';
+import { createPollingScheduler } from './pollingScheduler';
+import { formatDate } from './format';
+import { loadReadReceipts, saveReadReceipts, isUnread } from './readReceipts';
+import { enqueueEvent, flushEvents } from './eventQueue';
+import { setupNotificationChannelsAsync, channelForMessage, foregroundBehaviorFor } from './notificationChannels';
+import { loadPreferences, savePreferences, toHealthProfile, shouldNotify, DEFAULT_PREFERENCES } from './preferences';
+import { loadSession, signIn, signOut, isStaff } from './auth';
+import { toMessagePayload } from './messageDraft';
+import { resolveDeepLink } from './messageContent';
+import { validateMessages, validateStatusUpdate, getRejectedPayloads } from './messageSchema';
+import { loadEnvironment, switchEnvironment } from './environment';
+import { getAppMetadata, getDeviceInfo, validateProjectId } from './deviceMetadata';
+import { subscribeToWebPush, canShowWebNotifications, showWebNotification, addServiceWorkerListener, getLaunchMessageId } from './webPush';
+import {
+  loadRegistrationRecord,
+  saveRegistrationRecord,
+  clearRegistrationRecord,
+  registrationChangeReason,
+  registrationRetryDelay,
+} from './registration';
+import { loadFilters, saveFilters, applyFilters, groupByDay, filterOptions, DEFAULT_FILTERS } from './messageFilters';
+import MessageFilterBar from './components/MessageFilterBar';
+import MessageCard from './components/MessageCard';
+import MessageDetailScreen from './screens/MessageDetailScreen';
+import PreferencesScreen from './screens/PreferencesScreen';
+import LoginScreen from './screens/LoginScreen';
+import ComposeScreen from './screens/ComposeScreen';
+import StatsScreen from './screens/StatsScreen';
+import DiagnosticsScreen from './screens/DiagnosticsScreen';
+import EnvironmentScreen from './screens/EnvironmentScreen';
+import { loadNotificationLedger, saveNotificationLedger, wasShown, LEDGER_RETENTION_MS } from './notificationLedger';
+import { reconcileLocalSchedules, isDuplicateOfLocalSchedule, dismissDuplicateNotifications, messageNotificationContent } from './localSchedules';
+import { setupNotificationCategoriesAsync, snoozeNotification, NOTIFICATION_ACTIONS, SNOOZE_MINUTES } from './notificationActions';
 
 // Check if running in web environment
 const isWeb = Platform.OS === 'web';
@@ -11,47 +47,246 @@ const isWeb = Platform.OS === 'web';
 // Configure how notifications are handled when app is in foreground (mobile only)
 if (!isWeb) {
   Notifications.setNotificationHandler({
-    handleNotification: async () => ({
-      shouldShowAlert: true,
-      shouldPlaySound: true,
-      shouldSetBadge: true,
-    }),
+    // Sound and priority follow the message's channel (quiet for tests and tips)
+    handleNotification: async (notification) => {
+      if (await isDuplicateOfLocalSchedule(notification)) {
+        return { shouldShowAlert: false, shouldShowBanner: false, shouldShowList: false, shouldPlaySound: false, shouldSetBadge: false };
+      }
+      return {
+        shouldShowAlert: true,
+        shouldSetBadge: true,
+        ...foregroundBehaviorFor(notification.request.content.data || {}),
+      };
+    },
   });
 }
 
-// Use production backend URL
-const BULL_QUEUE_SERVER = process.env.EXPO_PUBLIC_PUSH_API_ENDPOINT?.replace('/api/push-messages', '') || 'https://sephealthbackend.onrender.com';
-const API_ENDPOINT = `${BULL_QUEUE_SERVER}/api/push-messages`;
-const DEVICE_REGISTER_ENDPOINT = `${BULL_QUEUE_SERVER}/api/device/register`;
-
-console.log('🔗 Mobile app connecting to Bull Queue server:', BULL_QUEUE_SERVER);
-
 export default function App() {
   const [expoPushToken, setExpoPushToken] = useState('');
   const [notification, setNotification] = useState(false);
+  const [serverUrl, setServerUrl] = useState(API_CONFIG.baseUrl); // Backend in use; dev builds can switch it at runtime
   const [messages, setMessages] = useState([]);
+  const [serverCount, setServerCount] = useState(null); // Total messages on the server (`count`), when reported
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [tokenRegistered, setTokenRegistered] = useState(false);
   const [testingNotification, setTestingNotification] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [syncFailed, setSyncFailed] = useState(false);
+  const [cacheLoaded, setCacheLoaded] = useState(false);
+  const [socketStatus, setSocketStatus] = useState({ state: SOCKET_STATES.CONNECTING });
+  const [openMessageId, setOpenMessageId] = useState(null); // Message shown on the detail screen
+  const [fetchingMessageId, setFetchingMessageId] = useState(null); // Opened message being fetched on its own
+  const [receipts, setReceipts] = useState({}); // messageId -> { readAt, acknowledgedAt }
+  const [screen, setScreen] = useState('home'); // Full-screen views other than the message list
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [savingPreferences, setSavingPreferences] = useState(false);
+  const [editingMessage, setEditingMessage] = useState(null); // Scheduled message open on the compose screen
+  const [session, setSession] = useState(null); // { token, user } of the signed-in SEPHealth user
+  const [filters, setFilters] = useState(DEFAULT_FILTERS); // Search, filter chips and sort of the list (persisted)
+  const [canEnableWebPush, setCanEnableWebPush] = useState(false); // Web: browser permission not asked yet
   const notificationListener = useRef();
   const responseListener = useRef();
-  const shownNotifications = useRef(new Set()); // Track IDs of messages already shown as local notifications
-  const pollingTimer = useRef(null);
+  const pushTokenListener = useRef();
+  const appStateListener = useRef();
+  const linkingListener = useRef();
+  const shownNotifications = useRef(new Map()); // messageId -> seenAt for messages already shown as local notifications (persisted)
+  const ledgerState = useRef({ loaded: false, isNew: false });
+  const catchingUp = useRef(true); // The next sync covers time the app wasn't open (launch or resume)
+  const pollingScheduler = useRef(null);
+  const hasMessages = useRef(false); // Whether there is anything (cached or fetched) on screen
+  const syncCursor = useRef(null); // Cursor from the last successful sync, for delta fetches
+  const pagination = useRef({ nextPage: 2, hasMore: true, loading: false }); // Older pages for infinite scroll
+  const listGeneration = useRef(0); // Bumped when the list starts over; older responses are dropped
+  const lookedUpMessageId = useRef(null); // Last opened message fetched by ID, so a 404 isn't retried on every render
+  const socketManager = useRef(null);
+  const receiptsRef = useRef({}); // Latest receipts for callbacks created on mount
+  const deviceIdentity = useRef({}); // { deviceId, pushToken } once registered
+  const pushTokenRef = useRef(null); // Latest Expo push token, registered or not
+  const webPushSubscription = useRef(null); // Browser PushSubscription JSON (web only)
+  const serviceWorkerListener = useRef(); // Unsubscribe from service worker messages (web only)
+  const statusUpdateListeners = useRef(new Set()); // Screens following socket statusUpdate events
+  const lastError = useRef(null); // { source, message, at } of the most recent failure, for diagnostics
+  const diagnosticsSnapshot = useRef(() => ({})); // Reads the latest render's state for the diagnostics screen
+  const registrationRecord = useRef(null); // What the backend last accepted (persisted)
+  const registrationRetry = useRef({ attempt: 0, timer: null });
+  const preferencesRef = useRef(DEFAULT_PREFERENCES);
+  const sessionRef = useRef(null);
+
+  const unreadCount = messages.filter(msg => isUnread(msg, receipts)).length;
+  const messageSections = useMemo(() => groupByDay(applyFilters(messages, filters)), [messages, filters]);
+  const messageFilterOptions = useMemo(() => filterOptions(messages), [messages]);
+
+  useEffect(() => {
+    receiptsRef.current = receipts;
+    if (cacheLoaded) {
+      saveReadReceipts(receipts);
+    }
+  }, [receipts, cacheLoaded]);
+
+  // The app icon badge mirrors the unread count
+  useEffect(() => {
+    if (!isWeb && cacheLoaded) {
+      Notifications.setBadgeCountAsync(unreadCount).catch(error => {
+        console.log('⚠️ Could not update badge count:', error.message);
+      });
+    }
+  }, [unreadCount, cacheLoaded]);
+
+  // Opening a message (from the list or a notification tap) marks it read
+  useEffect(() => {
+    if (openMessageId && cacheLoaded) {
+      markMessageRead(openMessageId);
+    }
+  }, [openMessageId, cacheLoaded]);
+
+  // A notification tap or link can point past the loaded pages; fetch that one message
+  useEffect(() => {
+    if (!openMessageId || !cacheLoaded || loading || lookedUpMessageId.current === openMessageId) return;
+    if (messages.some(msg => msg._id === openMessageId)) return;
+
+    const messageId = openMessageId;
+    const generation = listGeneration.current;
+    lookedUpMessageId.current = messageId;
+    setFetchingMessageId(messageId);
+    fetchMessage(messageId, { params: { userId: sessionRef.current?.user.id } }).then(result => {
+      if (generation !== listGeneration.current) {
+        lookedUpMessageId.current = null; // Look it up again on the new list
+      } else if (result.success) {
+        setMessages(prev => appendMessagePage(prev, [result.message]));
+      } else {
+        console.log(`⚠️ Could not fetch message ${messageId}:`, result.error);
+      }
+      setFetchingMessageId(current => (current === messageId ? null : current));
+    });
+  }, [openMessageId, messages, cacheLoaded, loading]);
+
+  useEffect(() => {
+    hasMessages.current = messages.length > 0;
+    // Persist every change (fetches and socket updates) once the cache has been read
+    if (cacheLoaded) {
+      saveCachedMessages(messages, lastSyncedAt, syncCursor.current);
+    }
+  }, [messages, lastSyncedAt, cacheLoaded]);
+
+  // Upcoming Scheduled messages go off on time even when neither the push nor a
+  // poll reaches the phone. The ledger records when each one will be shown, so
+  // it isn't surfaced again once the server marks it Sent.
+  useEffect(() => {
+    if (isWeb || !cacheLoaded) return;
+
+    reconcileLocalSchedules(messages, preferences).then(({ scheduled, cancelled }) => {
+      scheduled.forEach(({ messageId, fireAt }) => shownNotifications.current.set(messageId, fireAt));
+      cancelled
+        .filter(messageId => !wasShown(shownNotifications.current, messageId))
+        .forEach(messageId => shownNotifications.current.delete(messageId));
+      if (scheduled.length > 0 || cancelled.length > 0) {
+        saveNotificationLedger(shownNotifications.current);
+      }
+    });
+  }, [messages, preferences, cacheLoaded]);
 
   useEffect(() => {
+    // Backend URL comes from config.js (production unless overridden by env or,
+    // in dev builds, the environment switcher). Everything below talks to it.
+    const environmentLoaded = loadEnvironment().then((environment) => {
+      setServerUrl(environment.baseUrl);
+      console.log('🔗 Mobile app connecting to Bull Queue server:', environment.baseUrl);
+      logConfiguration();
+    });
+
+    // Push tokens are scoped to an EAS project; registering one from the wrong project fails silently later
+    if (!isWeb) {
+      const projectCheck = validateProjectId();
+      if (!projectCheck.valid) {
+        console.error('❌ Project configuration error:', projectCheck.error);
+        Alert.alert('Configuration Error', projectCheck.error);
+      }
+    }
+
+    // Registration sends the preferences as healthProfile and the signed-in
+    // user's ID, and the message list is scoped to that user, so load both first
+    const profileLoaded = environmentLoaded.then(() => Promise.all([loadPreferences(), loadSession(), loadRegistrationRecord()])).then(([stored, storedSession, record]) => {
+      registrationRecord.current = record;
+      preferencesRef.current = stored;
+      setPreferences(stored);
+      sessionRef.current = storedSession;
+      setSession(storedSession);
+      socketManager.current?.setIdentity({ userId: storedSession?.user.id || null });
+    });
+
+    setUnauthorizedHandler(() => {
+      console.log('🔒 Session rejected by backend, signing out');
+      Alert.alert('Session Expired', 'Please sign in again.');
+      handleSignOut();
+    });
+
     if (isWeb) {
-      // For web, simulate a token and register as web device
-      const webToken = 'web-simulator-token-' + Date.now();
-      setExpoPushToken(webToken);
-      registerWebDevice(webToken);
+      // Real Web Push if notifications were allowed on an earlier visit; otherwise
+      // a simulated token so the API can still be exercised. Asking for
+      // permission needs a click, see enableWebPush.
+      profileLoaded.then(async () => {
+        const result = await subscribeToWebPush();
+        let webToken;
+        if (result.success) {
+          webPushSubscription.current = result.subscription;
+          webToken = result.subscription.endpoint;
+        } else {
+          console.log('🌐 Web Push unavailable, using a simulated token:', result.error);
+          webToken = 'web-simulator-token-' + Date.now();
+          setCanEnableWebPush(result.permission === 'default');
+        }
+        setExpoPushToken(webToken);
+        pushTokenRef.current = webToken;
+        registerWebDevice(webToken);
+      });
+
+      // A notification click with no tab open launches /?messageId=<id>
+      const launchMessageId = getLaunchMessageId();
+      if (launchMessageId) {
+        setOpenMessageId(launchMessageId);
+      }
+
+      serviceWorkerListener.current = addServiceWorkerListener(({ type, messageId }) => {
+        if (!messageId) return;
+        if (type === 'open') {
+          setOpenMessageId(messageId);
+        } else if (type === 'push' && !shownNotifications.current.has(messageId)) {
+          // Already shown by the service worker; fetch it without alerting again
+          shownNotifications.current.set(messageId, Date.now());
+          if (ledgerState.current.loaded) saveNotificationLedger(shownNotifications.current);
+          fetchMessages(true);
+        }
+      });
     } else {
       // Mobile device registration
-      registerForPushNotificationsAsync().then(token => {
+      Promise.all([registerForPushNotificationsAsync(), profileLoaded]).then(([token]) => {
         setExpoPushToken(token);
+        pushTokenRef.current = token || null;
         // Register token with backend
         if (token) {
           registerTokenWithBackend(token);
+        } else {
+          // Permission may have been revoked while the app was closed
+          checkNotificationPermission();
+        }
+      });
+
+      // The OS can rotate the native push token at any time; the Expo token follows it
+      pushTokenListener.current = Notifications.addPushTokenListener(() => {
+        handlePushTokenChange();
+      });
+
+      // Notifications can be switched off in system settings while we're in the
+      // background, and remote pushes shown meanwhile may repeat a local schedule
+      dismissDuplicateNotifications();
+      appStateListener.current = AppState.addEventListener('change', nextState => {
+        if (nextState === 'background') {
+          catchingUp.current = true;
+        } else if (nextState === 'active') {
+          checkNotificationPermission();
+          dismissDuplicateNotifications();
         }
       });
 
@@ -60,237 +295,809 @@ export default function App() {
         setNotification(notification);
       });
 
-      // Listener for when user taps on notification
+      // Listener for taps and action buttons (lock screen included)
       responseListener.current = Notifications.addNotificationResponseReceivedListener(response => {
-        console.log('Notification tapped:', response);
+        console.log('Notification response:', response.actionIdentifier);
+        handleNotificationResponse(response);
+      });
+
+      // A tap or action that cold-started the app happened before the listener
+      // existed. Clear it so a snooze isn't repeated on every launch.
+      Notifications.getLastNotificationResponseAsync().then(response => {
+        if (response) {
+          console.log('🚪 App opened from notification');
+          handleNotificationResponse(response);
+          Notifications.clearLastNotificationResponseAsync().catch(() => {});
+        }
       });
     }
 
-    // Fetch messages on mount
-    fetchMessages();
+    // sephealth://messages/<id> links from other apps, the browser or a push's call to action
+    Linking.getInitialURL().then(url => {
+      if (url) openIncomingLink(url);
+    });
+    linkingListener.current = Linking.addEventListener('url', ({ url }) => openIncomingLink(url));
+
+    // Unless the user already changed something while they were loading
+    loadFilters().then(stored => setFilters(prev => (prev === DEFAULT_FILTERS ? stored : prev)));
+
+    // Show the last synced list right away, then fetch once we know which
+    // messages were already shown and where the last sync left off
+    Promise.all([loadCachedMessages(), loadNotificationLedger(), loadReadReceipts(), profileLoaded]).then(([cached, { seen, isNew }, storedReceipts]) => {
+      if (cached.messages.length > 0) {
+        console.log(`💾 Loaded ${cached.messages.length} cached messages (last synced ${cached.lastSyncedAt})`);
+        setMessages(prev => (prev.length > 0 ? prev : cached.messages));
+        setLastSyncedAt(prev => prev || cached.lastSyncedAt);
+        syncCursor.current = cached.cursor;
+        pagination.current.nextPage = Math.floor(cached.messages.length / APP_CONFIG.pagination.pageSize) + 1;
+      }
+      setReceipts(prev => ({ ...storedReceipts, ...prev }));
+      setCacheLoaded(true);
+
+      seen.forEach((seenAt, id) => shownNotifications.current.set(id, seenAt));
+      ledgerState.current = { loaded: true, isNew };
+      console.log(`📒 Notification ledger loaded: ${seen.size} messages already shown`);
+      fetchMessages();
+      flushEvents();
+    });
 
-    // Start auto-polling (every 60 seconds) to bypass Expo Go remote notification limitation
+    // Start auto-polling to bypass Expo Go remote notification limitation;
+    // the scheduler backs off while the socket is healthy
     if (!isWeb) {
-      console.log('🔄 Starting auto-polling for "Sent" messages (60s interval)...');
-      pollingTimer.current = setInterval(() => {
-        fetchMessages(true); // pass true to indicate it's a background poll
-      }, 60000);
+      console.log('🔄 Starting adaptive polling for "Sent" messages...');
+      pollingScheduler.current = createPollingScheduler(() => fetchMessages(true)); // background poll
+      pollingScheduler.current.start();
     }
 
     // Socket.io for faster real-time updates
-    const socket = io(BULL_QUEUE_SERVER);
+    environmentLoaded.then(connectSocket);
 
-    socket.on('connect', () => {
-      console.log('🔌 Real-time Socket.io connected to:', BULL_QUEUE_SERVER);
+    return () => {
+      if (!isWeb) {
+        notificationListener.current?.remove();
+        responseListener.current?.remove();
+        pushTokenListener.current?.remove();
+        appStateListener.current?.remove();
+        clearTimeout(registrationRetry.current.timer);
+        pollingScheduler.current?.stop();
+      } else {
+        serviceWorkerListener.current?.();
+      }
+      linkingListener.current?.remove();
+      setUnauthorizedHandler(null);
+      socketManager.current?.disconnect();
+    };
+  }, []);
+
+  // (Re)connect the socket to the current backend with whatever identity we already have
+  const connectSocket = () => {
+    socketManager.current = createSocketManager(API_CONFIG.baseUrl, {
+      onStatusUpdate: handleStatusUpdate,
+      onStateChange: (state, detail) => {
+        setSocketStatus({ state, ...detail });
+        if (detail.error) recordError('socket', detail.error);
+        pollingScheduler.current?.setSocketState(state);
+      },
+      onResync: () => {
+        console.log('🔄 Socket reconnected, re-syncing messages...');
+        fetchMessages(true);
+      },
     });
+    socketManager.current.setIdentity({ ...deviceIdentity.current, userId: sessionRef.current?.user.id || null });
+  };
+
+  const openMessageFromNotification = (response) => {
+    const messageId = response?.notification?.request?.content?.data?.messageId;
+    if (messageId) {
+      setOpenMessageId(messageId);
+    }
+  };
 
-    socket.on('statusUpdate', (update) => {
-      console.log('🚀 Real-time update received:', update.messageId, update.status);
+  const handleNotificationResponse = (response) => {
+    const { request } = response.notification;
+    const messageId = request.content.data?.messageId;
+
+    switch (response.actionIdentifier) {
+      case NOTIFICATION_ACTIONS.TAKEN:
+      case NOTIFICATION_ACTIONS.ACKNOWLEDGE:
+        console.log('✅ Acknowledged from notification:', messageId);
+        if (messageId) acknowledgeMessage(messageId);
+        break;
+      case NOTIFICATION_ACTIONS.SNOOZE:
+      case NOTIFICATION_ACTIONS.REMIND_LATER:
+        snoozeNotification(request, SNOOZE_MINUTES[response.actionIdentifier]).catch(error => {
+          console.error('❌ Could not snooze notification:', error);
+        });
+        break;
+      case NOTIFICATION_ACTIONS.DISMISS:
+        break;
+      default:
+        openMessageFromNotification(response);
+        return;
+    }
 
-      // Update local state immediately
-      setMessages(prev => prev.map(msg =>
-        msg._id === update.messageId
-          ? { ...msg, status: update.status, deliveredAt: update.deliveredAt }
-          : msg
-      ));
+    // Action buttons don't open the app; take the answered notification out of the tray
+    Notifications.dismissNotificationAsync(request.identifier).catch(() => {});
+  };
 
-      // If it's a new "Sent" message, trigger a quick poll to get details and show notification
-      if (update.status === 'Sent' && !shownNotifications.current.has(update.messageId)) {
-        console.log('🔔 Status changed to Sent, triggering immediate content fetch...');
-        fetchMessages(true);
-      }
-    });
+  const openIncomingLink = (url) => {
+    const link = resolveDeepLink(url);
+    if (link.type === 'message') {
+      setOpenMessageId(link.messageId);
+    }
+  };
 
-    socket.on('connect_error', (err) => {
-      console.log('⚠️ Socket.io connection error:', err.message);
+  // Call-to-action, attachment and in-text links: links to a message open it, anything else leaves the app
+  const openLink = useCallback((url) => {
+    const link = resolveDeepLink(url);
+    if (link.type === 'message') {
+      setOpenMessageId(link.messageId);
+      return;
+    }
+    Linking.openURL(link.url).catch(error => {
+      console.log('⚠️ Could not open link:', error.message);
+      Alert.alert('Cannot open link', link.url);
     });
+  }, []);
 
-    return () => {
-      if (!isWeb) {
-        Notifications.removeNotificationSubscription(notificationListener.current);
-        Notifications.removeNotificationSubscription(responseListener.current);
-        if (pollingTimer.current) clearInterval(pollingTimer.current);
-      }
-      socket.disconnect();
-    };
+  const closeMessage = useCallback(() => {
+    lookedUpMessageId.current = null;
+    setOpenMessageId(null);
   }, []);
 
+  // Stable handler for the memoized cards; sending only touches refs
+  const testMessage = useCallback((message) => sendNotificationFromMessage(message), []);
+
+  const updateFilters = (next) => {
+    setFilters(next);
+    saveFilters(next);
+  };
+
+  const reportEvent = (type, messageId) => {
+    enqueueEvent({
+      type,
+      messageId,
+      deviceId: deviceIdentity.current.deviceId || null,
+      pushToken: deviceIdentity.current.pushToken || null,
+      platform: Platform.OS,
+    });
+  };
+
+  // Only the first open of a message is reported
+  const markMessageRead = (messageId) => {
+    if (receiptsRef.current[messageId]?.readAt) return;
+
+    const readAt = new Date().toISOString();
+    receiptsRef.current = { ...receiptsRef.current, [messageId]: { ...receiptsRef.current[messageId], readAt } };
+    setReceipts(prev => ({ ...prev, [messageId]: { ...prev[messageId], readAt } }));
+    reportEvent('opened', messageId);
+  };
+
+  const acknowledgeMessage = (messageId) => {
+    if (receiptsRef.current[messageId]?.acknowledgedAt) return;
+
+    const now = new Date().toISOString();
+    const update = (prev) => ({
+      ...prev,
+      [messageId]: { readAt: now, ...prev[messageId], acknowledgedAt: now },
+    });
+    receiptsRef.current = update(receiptsRef.current);
+    setReceipts(update);
+    reportEvent('acknowledged', messageId);
+  };
+
+  const handleStatusUpdate = (event) => {
+    const update = validateStatusUpdate(event);
+    if (!update) return;
+    console.log('🚀 Real-time update received:', update.messageId, update.status);
+
+    // Update local state immediately
+    setMessages(prev => prev.map(msg =>
+      msg._id === update.messageId
+        ? { ...msg, status: update.status, deliveredAt: update.deliveredAt || msg.deliveredAt }
+        : msg
+    ));
+
+    statusUpdateListeners.current.forEach(listener => listener(update));
+
+    // If it's a new "Sent" message, trigger a quick poll to get details and show notification
+    if (update.status === 'Sent' && !wasShown(shownNotifications.current, update.messageId)) {
+      console.log('🔔 Status changed to Sent, triggering immediate content fetch...');
+      fetchMessages(true);
+    }
+  };
+
+  const buildRegistrationPayload = (token) => ({
+    pushToken: token,
+    platform: Platform.OS,
+    ...getAppMetadata(), // appVersion, buildNumber, runtimeVersion, locale, timezone
+    deviceInfo: getDeviceInfo(),
+    userId: sessionRef.current?.user.id || null,
+    healthProfile: toHealthProfile(preferencesRef.current),
+    localScheduling: !isWeb, // Shows Scheduled messages on time by itself; see localSchedules.js
+    ...(webPushSubscription.current && { webPushSubscription: webPushSubscription.current }),
+  });
+
   const registerWebDevice = async (token) => {
     try {
       console.log('🌐 Registering web device with Bull Queue server...');
 
-      const response = await fetch(DEVICE_REGISTER_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          pushToken: token,
-          platform: 'web',
-          appVersion: '1.0.0',
-          userId: null,
-          healthProfile: {}
-        }),
-      });
-
-      const result = await response.json();
+      const result = await registerDevice(buildRegistrationPayload(token));
 
       if (result.success) {
         console.log('✅ Web device registered successfully');
         setTokenRegistered(true);
+        deviceIdentity.current = { deviceId: result.data?.deviceId, pushToken: token };
+        socketManager.current?.setIdentity(deviceIdentity.current);
+      } else if (result.status === 0) {
+        console.error('❌ Network error registering web device:', result.error);
+        recordError('registration', result.error);
+        Alert.alert('Connection Error', 'Could not connect to Bull Queue server');
       } else {
         console.error('❌ Failed to register web device:', result.error);
+        recordError('registration', result.error);
       }
     } catch (error) {
-      console.error('❌ Network error registering web device:', error);
-      Alert.alert('Connection Error', 'Could not connect to Bull Queue server');
+      console.error('❌ Error registering web device:', error);
     }
   };
 
-  const registerTokenWithBackend = async (token) => {
-    try {
-      console.log('� Attempting to register token with backend:', DEVICE_REGISTER_ENDPOINT);
-      setLoading(true);
+  // Browsers only let a page ask for notification permission from a click
+  const enableWebPush = async () => {
+    const result = await subscribeToWebPush({ prompt: true });
+    setCanEnableWebPush(result.permission === 'default');
 
-      const deviceInfo = {
-        brand: Device.brand,
-        modelName: Device.modelName,
-        osName: Device.osName,
-        osVersion: Device.osVersion,
-        deviceName: Device.deviceName
-      };
+    if (!result.success) {
+      console.log('🌐 Web Push not enabled:', result.error);
+      if (result.permission === 'denied') {
+        Alert.alert('Notifications Blocked', 'Allow notifications for this site in your browser settings, then try again.');
+      }
+      return;
+    }
 
-      const response = await fetch(DEVICE_REGISTER_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          pushToken: token,
-          platform: Platform.OS,
-          appVersion: '1.0.0',
-          userId: null, // Could link to SEPHealth user if available
-          healthProfile: {} // Could be populated with user health preferences
-        }),
-      });
+    const simulatorToken = pushTokenRef.current;
+    webPushSubscription.current = result.subscription;
+    const webToken = result.subscription.endpoint;
+    setExpoPushToken(webToken);
+    pushTokenRef.current = webToken;
+    await registerWebDevice(webToken);
+
+    if (simulatorToken && simulatorToken !== webToken) {
+      // Best effort; the backend expires stale tokens anyway
+      await unregisterDevice({ pushToken: simulatorToken });
+    }
+  };
+
+  // silent: background re-registration (retries, token rotation) without alerts or spinners
+  const registerTokenWithBackend = async (token, { silent = false } = {}) => {
+    const payload = buildRegistrationPayload(token);
+    const reason = registrationChangeReason(registrationRecord.current, {
+      pushToken: token,
+      appVersion: payload.appVersion,
+      permission: 'granted',
+      serverUrl: API_CONFIG.baseUrl,
+    });
+
+    try {
+      console.log('📡 Attempting to register token with backend:', API_CONFIG.endpoints.deviceRegister);
+      if (reason) console.log('📝 Registration needed:', reason);
+      if (!silent) setLoading(true);
 
-      console.log('📡 Response received from backend:', response.status);
-      const result = await response.json();
+      const result = await registerDevice(payload);
+
+      console.log('📡 Response received from backend:', result.status);
       console.log('📦 Backend response result:', result);
 
       if (result.success) {
         console.log('✅ Device registered successfully with Bull Queue server');
-        console.log('   Device ID:', result.deviceId);
+        console.log('   Device ID:', result.data?.deviceId);
         setTokenRegistered(true);
-        Alert.alert('Success', 'Device registered successfully!');
+        deviceIdentity.current = { deviceId: result.data?.deviceId, pushToken: token };
+        socketManager.current?.setIdentity(deviceIdentity.current);
+
+        clearTimeout(registrationRetry.current.timer);
+        registrationRetry.current = { attempt: 0, timer: null };
+        registrationRecord.current = {
+          pushToken: token,
+          appVersion: payload.appVersion,
+          permission: 'granted',
+          serverUrl: API_CONFIG.baseUrl,
+          deviceId: result.data?.deviceId || null,
+          registeredAt: new Date().toISOString(),
+        };
+        saveRegistrationRecord(registrationRecord.current);
+
+        // Routine launches re-register quietly; only announce a new or changed registration
+        if (!silent && reason) {
+          Alert.alert('Success', 'Device registered successfully!');
+        }
+        return;
+      }
+
+      recordError('registration', result.error);
+      if (result.status === 0) {
+        console.error('❌ Network error registering device:', result.error);
+        if (!silent) Alert.alert('Connection Error', `Could not reach backend at ${API_CONFIG.baseUrl}. Check Wi-Fi/Firewall.`);
       } else {
         console.error('❌ Failed to register device:', result.error);
-        Alert.alert('Registration Error', result.error || 'Failed to register device');
+        if (!silent) Alert.alert('Registration Error', result.error || 'Failed to register device');
       }
+      scheduleRegistrationRetry(token);
     } catch (error) {
-      console.error('❌ Network error registering device:', error);
-      Alert.alert('Connection Error', `Could not reach backend at ${BULL_QUEUE_SERVER}. Check Wi-Fi/Firewall.`);
+      console.error('❌ Error registering device:', error);
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   };
 
+  const scheduleRegistrationRetry = (token) => {
+    clearTimeout(registrationRetry.current.timer);
+    const attempt = registrationRetry.current.attempt + 1;
+    const delay = registrationRetryDelay(attempt);
+    console.log(`⏱️ Retrying device registration in ${delay / 1000}s (attempt ${attempt})`);
+
+    const timer = setTimeout(() => {
+      // A newer token has its own registration in flight
+      if (token === pushTokenRef.current) {
+        registerTokenWithBackend(token, { silent: true });
+      }
+    }, delay);
+    registrationRetry.current = { attempt, timer };
+  };
+
+  const handlePushTokenChange = async () => {
+    try {
+      const token = await fetchExpoPushTokenAsync();
+      if (token && token !== pushTokenRef.current) {
+        console.log('🔁 Push token rotated, re-registering device');
+        pushTokenRef.current = token;
+        setExpoPushToken(token);
+        registerTokenWithBackend(token, { silent: true });
+      }
+    } catch (error) {
+      console.error('❌ Error refreshing push token:', error);
+    }
+  };
+
+  // Unregister when notifications were disabled in system settings, and
+  // register again once they are re-enabled
+  const checkNotificationPermission = async () => {
+    if (!Device.isDevice) return;
+
+    const { status } = await Notifications.getPermissionsAsync();
+
+    if (status !== 'granted' && registrationRecord.current) {
+      console.log('🔕 Notifications disabled, unregistering device');
+      await unregisterFromBackend();
+    } else if (status === 'granted' && !registrationRecord.current && !registrationRetry.current.timer) {
+      console.log('🔔 Notifications enabled, registering device');
+      try {
+        const token = pushTokenRef.current || await fetchExpoPushTokenAsync();
+        pushTokenRef.current = token;
+        setExpoPushToken(token);
+        registerTokenWithBackend(token, { silent: true });
+      } catch (error) {
+        console.error('❌ Error fetching push token:', error);
+      }
+    }
+  };
+
+  // The record is only cleared once the backend confirms, so a failed call
+  // is retried the next time the app comes to the foreground
+  const unregisterFromBackend = async () => {
+    const record = registrationRecord.current;
+    clearTimeout(registrationRetry.current.timer);
+    registrationRetry.current = { attempt: 0, timer: null };
+
+    const result = await unregisterDevice({ pushToken: record.pushToken, deviceId: record.deviceId });
+    if (!result.success) {
+      console.error('❌ Failed to unregister device:', result.error);
+      return;
+    }
+
+    console.log('✅ Device unregistered');
+    registrationRecord.current = null;
+    await clearRegistrationRecord();
+    deviceIdentity.current = {};
+    setTokenRegistered(false);
+  };
+
   const fetchMessages = async (isPoll = false) => {
     if (!isPoll) {
-      console.log('📥 Fetching messages from:', API_ENDPOINT);
+      console.log('📥 Fetching messages from:', API_CONFIG.endpoints.pushMessages);
       setLoading(true);
     }
 
-    // Use AbortController for compatible timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    const userId = sessionRef.current?.user.id;
+    const generation = listGeneration.current;
+    // Signed in or out, or switched backends, while this was in flight: the result belongs to another list
+    const isStale = () => generation !== listGeneration.current;
 
     try {
-      const response = await fetch(API_ENDPOINT, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
+      // Background polls run again soon anyway, so don't stack retries on top of them
+      const options = { params: { userId } };
+      if (isPoll) options.retries = 0;
+      const result = await syncMessages(syncCursor.current, options);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (isStale()) {
+        return;
       }
 
-      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
       if (isPoll) {
-        // console.log(`🔍 Polling: Fetched ${result.data?.length || 0} messages`);
+        // console.log(`🔍 Polling: ${result.mode} sync, ${result.messages.length} changed`);
       } else {
-        console.log('📨 Messages response:', result);
+        console.log(`📨 Messages response (${result.mode} sync):`, result);
       }
-      if (result.success && result.data) {
-        const fetchedMessages = result.data;
-        setMessages(fetchedMessages);
-
-        // On first load, mark all existing 'Sent' messages as "already shown" 
-        // to prevent a notification explosion from the backlog
-        if (!isPoll) {
-          fetchedMessages.forEach(msg => {
-            if (msg.status === 'Sent') {
-              shownNotifications.current.add(msg._id);
-            }
-          });
-          console.log(`🧊 Initialized: ${shownNotifications.current.size} messages marked as seen.`);
-        }
 
-        // Check for newly "Sent" messages to trigger local notifications
-        // Only alert if sent in the last 2 minutes to prevent duplicates/backlog
-        if (!isWeb && isPoll) {
-          const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
-          fetchedMessages.forEach(msg => {
-            const sentAt = msg.deliveredAt ? new Date(msg.deliveredAt) : new Date(msg.updatedAt);
-            if (msg.status === 'Sent' && !shownNotifications.current.has(msg._id) && sentAt > twoMinutesAgo) {
-              console.log('🔔 Polling found new "Sent" message, triggering local alert:', msg.title);
-              sendNotificationFromMessage(msg);
-              shownNotifications.current.add(msg._id);
-            }
-          });
-        }
-      } else if (result.success && Array.isArray(result)) {
-        setMessages(result);
+      const fetchedMessages = result.messages;
+      if (result.mode === 'delta') {
+        setMessages(prev => applyMessageDelta(prev, fetchedMessages, result.deletedIds));
+      } else if (isPoll) {
+        // A background poll only sees the newest page; keep the older pages the user scrolled to
+        setMessages(prev => reconcileNewestPage(prev, fetchedMessages, result.hasMore));
+      } else {
+        // The newest page starts the list over; older pages load again on scroll
+        setMessages(prev => reconcileMessages(prev, fetchedMessages));
+        pagination.current = { ...pagination.current, nextPage: 2, hasMore: result.hasMore };
+      }
+      if (typeof result.count === 'number') setServerCount(result.count);
+      syncCursor.current = result.cursor;
+      setLastSyncedAt(new Date().toISOString());
+      setSyncFailed(false);
+      // Back online: send any engagement events recorded while offline
+      flushEvents();
+
+      if (ledgerState.current.loaded) {
+        surfaceUnseenMessages(fetchedMessages, catchingUp.current);
+        catchingUp.current = false;
       }
     } catch (error) {
+      if (isStale()) return;
+      setSyncFailed(true);
+      recordError('sync', error.message);
       if (!isPoll) {
         console.error('❌ Error fetching messages:', error);
-        Alert.alert('Connection Error', 'Could not connect to Bull Queue server.');
+        // With cached messages on screen the offline indicator is enough
+        if (!hasMessages.current) {
+          Alert.alert('Connection Error', 'Could not connect to Bull Queue server.');
+        }
       }
     } finally {
-      if (!isPoll) {
+      // The newer fetch owns the spinner
+      if (!isPoll && !isStale()) {
         setLoading(false);
         setRefreshing(false);
       }
     }
   };
 
+  // Infinite scroll: append the next older page
+  const loadMoreMessages = async () => {
+    const { nextPage, hasMore, loading: pageLoading } = pagination.current;
+    if (!hasMore || pageLoading || !cacheLoaded) return;
+
+    pagination.current.loading = true;
+    setLoadingMore(true);
+    const userId = sessionRef.current?.user.id;
+    const generation = listGeneration.current;
+
+    try {
+      const result = await fetchMessagePage(nextPage, { params: { userId } });
+      if (generation !== listGeneration.current) return;
+
+      if (!result.success) {
+        console.log('⚠️ Could not load more messages:', result.error);
+        return;
+      }
+
+      const added = appendMessagePage(messages, result.messages).length - messages.length;
+      setMessages(prev => appendMessagePage(prev, result.messages));
+      if (typeof result.count === 'number') setServerCount(result.count);
+      pagination.current.nextPage = nextPage + 1;
+      // A page with nothing new means the backend isn't paginating (or we've caught up)
+      pagination.current.hasMore = result.hasMore && added > 0;
+    } finally {
+      pagination.current.loading = false;
+      setLoadingMore(false);
+    }
+  };
+
+  // Show local notifications for 'Sent' messages that haven't been shown yet,
+  // then record them in the ledger so they are never shown again. Messages
+  // filtered out by the user's preferences are recorded without an alert.
+  // `missedWhileClosed`: the launch or resume sync, which sums several messages up in one notification
+  const surfaceUnseenMessages = (fetchedMessages, missedWhileClosed) => {
+    const horizon = Date.now() - LEDGER_RETENTION_MS;
+    const unseen = fetchedMessages.filter(msg => {
+      const sentAt = new Date(msg.deliveredAt || msg.updatedAt).getTime();
+      return msg.status === 'Sent' && !wasShown(shownNotifications.current, msg._id) && !(sentAt < horizon);
+    });
+
+    if (unseen.length === 0) {
+      // The first sync after a fresh install (or a new list) ends the backlog even when there was none
+      if (ledgerState.current.isNew) {
+        ledgerState.current.isNew = false;
+        saveNotificationLedger(shownNotifications.current);
+      }
+      return;
+    }
+
+    const notifiable = unseen.filter(msg => shouldNotify(msg, preferencesRef.current));
+    if (notifiable.length < unseen.length) {
+      console.log(`🔕 ${unseen.length - notifiable.length} messages silenced by notification preferences`);
+    }
+
+    if (ledgerState.current.isNew) {
+      // Fresh install or new list: treat the existing backlog as seen to prevent a notification explosion
+      console.log(`🧊 Initialized: ${unseen.length} messages marked as seen.`);
+    } else if (notifiable.length > 0 && (!isWeb || canShowWebNotifications())) {
+      if (missedWhileClosed && notifiable.length > 1) {
+        // Sent while the app was closed: one summary instead of a burst of alerts
+        console.log(`📬 ${notifiable.length} messages arrived while the app was closed, sending summary`);
+        sendMissedMessagesSummary(notifiable);
+      } else {
+        notifiable.forEach(msg => {
+          console.log('🔔 Found new "Sent" message, triggering local alert:', msg.title);
+          sendNotificationFromMessage(msg);
+        });
+      }
+    }
+
+    const now = Date.now();
+    unseen.forEach(msg => shownNotifications.current.set(msg._id, now));
+    ledgerState.current.isNew = false;
+    saveNotificationLedger(shownNotifications.current);
+  };
+
+  // Re-send the registration (new preferences or user) without the first-run alerts
+  const syncRegistration = async () => {
+    const token = deviceIdentity.current.pushToken;
+    if (!token) {
+      return { success: false, error: 'Device not registered yet' };
+    }
+    return registerDevice(buildRegistrationPayload(token));
+  };
+
+  // Store locally first; the backend copy is updated by re-registering the device
+  const handleSavePreferences = async (next) => {
+    setSavingPreferences(true);
+    preferencesRef.current = next;
+    setPreferences(next);
+    await savePreferences(next);
+
+    if (deviceIdentity.current.pushToken) {
+      const result = await syncRegistration();
+      if (result.success) {
+        console.log('✅ Preferences synced with backend');
+      } else {
+        console.error('❌ Failed to sync preferences:', result.error);
+        Alert.alert('Preferences Saved', 'Saved on this device. They will be sent to the server the next time it can be reached.');
+      }
+    }
+
+    setSavingPreferences(false);
+    setScreen('home');
+  };
+
+  const closeScreen = useCallback(() => setScreen('home'), []);
+
+  const recordError = (source, message) => {
+    lastError.current = { source, message: message || 'Unknown error', at: new Date().toISOString() };
+  };
+
+  diagnosticsSnapshot.current = () => ({
+    app: getAppMetadata(),
+    registered: tokenRegistered,
+    deviceId: deviceIdentity.current.deviceId || null,
+    pushToken: expoPushToken || null,
+    userId: session?.user.id || null,
+    socket: {
+      state: socketManager.current?.getState(),
+      transport: socketManager.current?.getTransport(),
+    },
+    polling: pollingScheduler.current?.getStatus() || {},
+    lastSyncedAt,
+    lastError: lastError.current,
+    rejectedPayloads: getRejectedPayloads(),
+  });
+  const getDiagnostics = useCallback(() => diagnosticsSnapshot.current(), []);
+
+  const subscribeToStatusUpdates = useCallback((listener) => {
+    statusUpdateListeners.current.add(listener);
+    return () => statusUpdateListeners.current.delete(listener);
+  }, []);
+
+  // Staff only: compose a new message, or edit one that is still Scheduled
+  const openCompose = (message = null) => {
+    setEditingMessage(message);
+    setOpenMessageId(null);
+    setScreen('compose');
+  };
+
+  const handleSubmitMessage = async (draft) => {
+    const payload = toMessagePayload(draft);
+    const result = editingMessage
+      ? await updateMessage(editingMessage._id, payload)
+      : await createMessage(payload);
+
+    if (!result.success) {
+      console.error('❌ Failed to save message:', result.error);
+      return {
+        success: false,
+        error: result.status === 0
+          ? 'Could not reach the server. Check your connection.'
+          : result.error || 'Could not save the message',
+      };
+    }
+
+    console.log(`🗓️ Message ${editingMessage ? 'updated' : 'scheduled'} for`, payload.scheduledDateTime);
+    const saved = result.data ? validateMessages([result.data], 'compose') : [];
+    if (saved.length > 0) {
+      setMessages(prev => applyMessageDelta(prev, saved));
+    }
+    setEditingMessage(null);
+    setScreen('home');
+    fetchMessages(true);
+    return { success: true };
+  };
+
+  const handleCancelMessage = async (message) => {
+    const result = await cancelMessage(message._id);
+    if (!result.success) {
+      console.error('❌ Failed to cancel message:', result.error);
+      Alert.alert('Error', result.error || 'Could not cancel the message');
+      return;
+    }
+
+    console.log('🗑️ Cancelled scheduled message:', message.title);
+    setMessages(prev => applyMessageDelta(prev, [], [message._id]));
+    setOpenMessageId(null);
+    fetchMessages(true);
+  };
+
+  const confirmCancelMessage = (message) => {
+    if (isWeb) {
+      handleCancelMessage(message);
+      return;
+    }
+    Alert.alert('Cancel message', `"${message.title}" will not be sent.`, [
+      { text: 'Keep', style: 'cancel' },
+      { text: 'Cancel message', style: 'destructive', onPress: () => handleCancelMessage(message) },
+    ]);
+  };
+
+  // The first sync of the new list (another user or backend) brings in that
+  // list's whole history; like a fresh install, it is recorded without alerts
+  const resetMessageList = () => {
+    listGeneration.current += 1;
+    if (ledgerState.current.loaded) ledgerState.current.isNew = true;
+    syncCursor.current = null;
+    pagination.current = { nextPage: 2, hasMore: true, loading: false };
+    setMessages([]);
+    setServerCount(null);
+    setLastSyncedAt(null);
+  };
+
+  // Dev builds: the socket, message list and registration all belong to the
+  // previous backend, so start them over against the new one
+  const handleSwitchEnvironment = async (environment) => {
+    const result = await switchEnvironment(environment);
+    if (!result.success) return result;
+
+    console.log(`🔀 Switched to ${result.environment.name} backend:`, result.environment.baseUrl);
+    setServerUrl(result.environment.baseUrl);
+    socketManager.current?.disconnect();
+    connectSocket();
+    resetMessageList();
+    setTokenRegistered(false);
+    setScreen('home');
+
+    const token = pushTokenRef.current;
+    if (token) {
+      if (isWeb) {
+        registerWebDevice(token);
+      } else {
+        registerTokenWithBackend(token);
+      }
+    }
+    fetchMessages();
+    return { success: true };
+  };
+
+  // The message list, sync cursor and socket rooms all belong to one user,
+  // so start over and re-register the device whenever the user changes
+  const applySession = async (nextSession) => {
+    sessionRef.current = nextSession;
+    setSession(nextSession);
+    resetMessageList();
+    socketManager.current?.setIdentity({ userId: nextSession?.user.id || null });
+
+    const result = await syncRegistration();
+    if (!result.success) {
+      console.error('❌ Failed to re-register device for user change:', result.error);
+    }
+    fetchMessages();
+  };
+
+  const handleSignIn = async (email, password) => {
+    const result = await signIn(email, password);
+    if (result.success) {
+      await applySession(result.session);
+      setScreen('home');
+    }
+    return result;
+  };
+
+  const handleSignOut = async () => {
+    await signOut(sessionRef.current);
+    await applySession(null);
+  };
+
+  const confirmSignOut = () => {
+    if (isWeb) {
+      handleSignOut();
+      return;
+    }
+    Alert.alert('Sign out', 'Stop receiving messages for your SEPHealth account on this device?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Sign out', style: 'destructive', onPress: handleSignOut },
+    ]);
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     fetchMessages();
   };
 
   const sendNotificationFromMessage = async (message) => {
+    const content = await messageNotificationContent(message);
+
     if (isWeb) {
-      Alert.alert('Test Notification', `${message.title}\n\n${message.content || message.body}`);
+      // Browsers without notification permission (or Web Push support) fall back to an alert
+      if (!(await showWebNotification(content))) {
+        Alert.alert('Test Notification', `${content.title}\n\n${content.body}`);
+      }
     } else {
       await Notifications.scheduleNotificationAsync({
-        content: {
-          title: message.title,
-          body: message.content || message.body,
-          data: { messageId: message._id },
+        content,
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+          seconds: 1,
+          channelId: channelForMessage(message),
         },
-        trigger: { seconds: 1 },
       });
     }
   };
 
+  const sendMissedMessagesSummary = async (missed) => {
+    const titles = missed.slice(0, 3).map(msg => `• ${msg.title}`);
+    if (missed.length > 3) titles.push(`…and ${missed.length - 3} more`);
+
+    const content = {
+      title: `${missed.length} new messages while you were away`,
+      body: titles.join('\n'),
+      data: { messageIds: missed.map(msg => msg._id) },
+    };
+
+    if (isWeb) {
+      await showWebNotification(content);
+      return;
+    }
+
+    await Notifications.scheduleNotificationAsync({
+      content,
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+        seconds: 1,
+        channelId: 'default',
+      },
+    });
+  };
+
   const sendTestNotification = async () => {
     if (!expoPushToken) {
       Alert.alert('Error', 'No push token available');
@@ -302,22 +1109,17 @@ export default function App() {
     try {
       console.log('🧪 Sending test notification via Bull Queue...');
 
-      const response = await fetch(`${BULL_QUEUE_SERVER}/api/push-messages/immediate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          title: 'SEPHealth Test',
-          body: isWeb
-            ? 'This is a test notification from the web app! (Push notifications don\'t work in browsers, but the API call succeeded)'
-            : 'This is a test notification from your mobile app!',
-          category: 'Test',
-          deviceId: expoPushToken.includes('web-simulator') ? null : undefined
-        }),
+      const result = await sendImmediate({
+        title: 'SEPHealth Test',
+        body: isWeb
+          ? webPushSubscription.current
+            ? 'This is a test notification from the web app!'
+            : 'This is a test notification from the web app! (Web Push isn\'t available in this browser, but the API call succeeded)'
+          : 'This is a test notification from your mobile app!',
+        category: 'Test',
+        deviceId: expoPushToken.includes('web-simulator') ? null : undefined
       });
 
-      const result = await response.json();
       console.log('📋 Test notification result:', result);
 
       if (result.success) {
@@ -327,10 +1129,13 @@ export default function App() {
         await fetchMessages();
 
         if (isWeb) {
-          Alert.alert('Success!', `Test notification created successfully!\n\nCreated ${result.results?.length || 1} notification(s). Check the message list below.`);
+          Alert.alert('Success!', `Test notification created successfully!\n\nCreated ${result.data?.results?.length || 1} notification(s). Check the message list below.`);
         } else {
           Alert.alert('Success', 'Test notification sent via Bull Queue!');
         }
+      } else if (result.status === 0) {
+        console.error('Error sending test notification:', result.error);
+        Alert.alert('Error', 'Failed to send test notification. Make sure Bull Queue server is running.');
       } else {
         Alert.alert('Error', result.error || 'Failed to send test notification');
       }
@@ -342,36 +1147,149 @@ export default function App() {
     }
   };
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return 'N/A';
-
-    return date.toLocaleString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
+  const socketStatusLabel = () => {
+    switch (socketStatus.state) {
+      case SOCKET_STATES.CONNECTED:
+        return '🟢 Real-time: Connected';
+      case SOCKET_STATES.RECONNECTING:
+        return `🟡 Real-time: Reconnecting${socketStatus.attempt ? ` (attempt ${socketStatus.attempt})` : ''}...`;
+      case SOCKET_STATES.OFFLINE:
+        return `🔴 Real-time: Offline${socketStatus.error ? ` (${socketStatus.error})` : ''}`;
+      default:
+        return '⏳ Real-time: Connecting...';
+    }
   };
 
+  if (openMessageId) {
+    return (
+      <MessageDetailScreen
+        message={messages.find(msg => msg._id === openMessageId)}
+        receipt={receipts[openMessageId]}
+        loading={loading || !cacheLoaded || fetchingMessageId === openMessageId}
+        canManage={isStaff(session)}
+        onBack={closeMessage}
+        onAcknowledge={acknowledgeMessage}
+        onEdit={openCompose}
+        onCancelMessage={confirmCancelMessage}
+        onOpenLink={openLink}
+      />
+    );
+  }
+
+  if (screen === 'login') {
+    return <LoginScreen onSignIn={handleSignIn} onBack={closeScreen} />;
+  }
+
+  if (screen === 'compose') {
+    return (
+      <ComposeScreen
+        message={editingMessage}
+        knownHealthCategories={messageFilterOptions.healthCategory}
+        onSubmit={handleSubmitMessage}
+        onBack={closeScreen}
+      />
+    );
+  }
+
+  if (screen === 'environment') {
+    return <EnvironmentScreen onSwitch={handleSwitchEnvironment} onBack={closeScreen} />;
+  }
+
+  if (screen === 'diagnostics') {
+    return <DiagnosticsScreen getDiagnostics={getDiagnostics} onBack={closeScreen} />;
+  }
+
+  if (screen === 'stats') {
+    return (
+      <StatsScreen
+        messages={messages}
+        subscribeToStatusUpdates={subscribeToStatusUpdates}
+        onBack={closeScreen}
+      />
+    );
+  }
+
+  if (screen === 'preferences') {
+    return (
+      <PreferencesScreen
+        preferences={preferences}
+        knownCategories={[...new Set(messages.map(msg => msg.healthCategory).filter(Boolean))]}
+        saving={savingPreferences}
+        onSave={handleSavePreferences}
+        onBack={closeScreen}
+      />
+    );
+  }
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Push Notifications</Text>
+      {/* Long press opens the hidden backend switcher in dev/debug builds */}
+      <Text
+        style={styles.title}
+        onLongPress={APP_CONFIG.canSwitchEnvironment ? () => setScreen('environment') : undefined}
+      >
+        Push Notifications
+      </Text>
+
+      <View style={styles.navRow}>
+        <TouchableOpacity onPress={() => setScreen('preferences')}>
+          <Text style={styles.navLink}>⚙️ Preferences</Text>
+        </TouchableOpacity>
+        {isStaff(session) && (
+          <TouchableOpacity onPress={() => openCompose()}>
+            <Text style={styles.navLink}>✏️ Compose</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => setScreen('diagnostics')}>
+          <Text style={styles.navLink}>🩺 Diagnostics</Text>
+        </TouchableOpacity>
+        {isStaff(session) && (
+          <TouchableOpacity onPress={() => setScreen('stats')}>
+            <Text style={styles.navLink}>📊 Stats</Text>
+          </TouchableOpacity>
+        )}
+        {session ? (
+          <TouchableOpacity onPress={confirmSignOut}>
+            <Text style={styles.navLink}>👤 Sign out</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity onPress={() => setScreen('login')}>
+            <Text style={styles.navLink}>👤 Sign in</Text>
+          </TouchableOpacity>
+        )}
+      </View>
 
       <View style={styles.tokenSection}>
         <Text style={styles.tokenLabel}>Connection Status</Text>
-        <Text style={styles.serverInfo}>Server: {BULL_QUEUE_SERVER}</Text>
+        <Text style={styles.serverInfo}>Server: {serverUrl}</Text>
         <Text style={styles.platformInfo}>Platform: {Platform.OS} {isWeb ? '(Browser)' : '(Native)'}</Text>
+        <Text style={styles.platformInfo}>
+          User: {session ? session.user.email || session.user.name : 'Not signed in'}
+        </Text>
         <Text style={styles.tokenStatus}>
           {tokenRegistered ? '✅ Device Registered' : (loading ? '⏳ Registering...' : '❌ Not Registered')}
         </Text>
-        {isWeb && (
+        <TouchableOpacity
+          disabled={socketStatus.state !== SOCKET_STATES.OFFLINE}
+          onPress={() => socketManager.current?.reconnect()}
+        >
+          <Text style={styles.socketStatus}>
+            {socketStatusLabel()}
+            {socketStatus.state === SOCKET_STATES.OFFLINE ? ' • Tap to retry' : ''}
+          </Text>
+        </TouchableOpacity>
+        {isWeb && expoPushToken?.startsWith('web-simulator') && (
           <Text style={styles.webNotice}>
-            ⚠️ Web Mode: Push notifications don't work in browsers, but you can test the API
+            {canEnableWebPush
+              ? '⚠️ Web Mode: notifications are off until you enable them, but you can test the API'
+              : '⚠️ Web Mode: Web Push isn\'t available here (unsupported browser, notifications blocked or no VAPID key), but you can test the API'}
           </Text>
         )}
+        {isWeb && canEnableWebPush && (
+          <TouchableOpacity style={styles.enableWebPushButton} onPress={enableWebPush}>
+            <Text style={styles.enableWebPushText}>🔔 Enable notifications</Text>
+          </TouchableOpacity>
+        )}
         <Text style={styles.token} numberOfLines={2}>
           Token: {expoPushToken ? expoPushToken.substring(0, 30) + '...' : 'Getting token...'}
         </Text>
@@ -430,50 +1348,60 @@ export default function App() {
       )}
 
       <View style={styles.messagesHeader}>
-        <Text style={styles.messagesTitle}>Messages ({messages.length})</Text>
+        <Text style={styles.messagesTitle}>
+          Messages ({serverCount ?? messages.length})
+          {unreadCount > 0 && <Text style={styles.unreadCount}>  {unreadCount} unread</Text>}
+        </Text>
         <TouchableOpacity onPress={onRefresh} style={styles.refreshButton}>
           <Text style={styles.refreshText}>↻</Text>
         </TouchableOpacity>
       </View>
 
-      {loading && !refreshing ? (
+      <Text style={[styles.syncInfo, syncFailed && styles.syncInfoOffline]}>
+        {syncFailed ? '📴 Offline • ' : ''}
+        {lastSyncedAt ? `Last synced ${formatDate(lastSyncedAt)}` : 'Not synced yet'}
+      </Text>
+
+      <MessageFilterBar filters={filters} options={messageFilterOptions} onChange={updateFilters} />
+
+      {loading && !refreshing && messages.length === 0 ? (
         <ActivityIndicator size="large" color="#007AFF" style={styles.loader} />
       ) : (
-        <ScrollView
+        <SectionList
           style={styles.messagesList}
+          sections={messageSections}
+          keyExtractor={(message) => message._id}
+          renderItem={({ item }) => (
+            <MessageCard
+              message={item}
+              unread={isUnread(item, receipts)}
+              onOpen={setOpenMessageId}
+              onTest={testMessage}
+              onOpenLink={openLink}
+            />
+          )}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionHeader}>{section.title}</Text>
+          )}
+          stickySectionHeadersEnabled={false}
+          onEndReached={loadMoreMessages}
+          onEndReachedThreshold={0.5}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
           }
-        >
-          {messages.map((message) => (
-            <View key={message._id} style={styles.messageCard}>
-              <View style={styles.messageHeader}>
-                <Text style={styles.messageTitle}>{message.title}</Text>
-                <Text style={styles.messageStatus}>{message.status}</Text>
-              </View>
-              <Text style={styles.messageContent}>{message.content || message.body}</Text>
-              <Text style={styles.messageDate}>
-                {formatDate(message.scheduledDateTime || message.createdAt)}
-              </Text>
-              <Text style={styles.messageCategory}>
-                {message.category} • {message.priority || 'normal'} • {message.healthCategory}
-              </Text>
-              <TouchableOpacity
-                style={styles.testButton}
-                onPress={() => sendNotificationFromMessage(message)}
-              >
-                <Text style={styles.testButtonText}>Test</Text>
-              </TouchableOpacity>
+          ListFooterComponent={loadingMore ? <ActivityIndicator color="#007AFF" style={styles.pageLoader} /> : null}
+          ListEmptyComponent={loading ? null : messages.length > 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyStateText}>No messages match your search</Text>
+              <Text style={styles.emptyStateSubtext}>Try other filters</Text>
             </View>
-          ))}
-
-          {messages.length === 0 && !loading && (
+          ) : (
             <View style={styles.emptyState}>
               <Text style={styles.emptyStateText}>No scheduled messages</Text>
               <Text style={styles.emptyStateSubtext}>Pull down to refresh</Text>
             </View>
           )}
-        </ScrollView>
+        />
       )}
     </View>
   );
@@ -489,15 +1417,8 @@ async function registerForPushNotificationsAsync() {
     return null;
   }
 
-  if (Platform.OS === 'android') {
-    console.log('🤖 Configuring Android notification channel...');
-    await Notifications.setNotificationChannelAsync('default', {
-      name: 'default',
-      importance: Notifications.AndroidImportance.MAX,
-      vibrationPattern: [0, 250, 250, 250],
-      lightColor: '#FF231F7C',
-    });
-  }
+  await setupNotificationChannelsAsync();
+  await setupNotificationCategoriesAsync();
 
   console.log('📱 Checking if device is physical:', Device.isDevice);
   if (Device.isDevice) {
@@ -519,12 +1440,7 @@ async function registerForPushNotificationsAsync() {
 
     console.log('🎟️ Fetching Expo Push Token...');
     try {
-      const projectId = Constants?.expoConfig?.extra?.eas?.projectId ?? '83d4b978-dc73-495d-9af4-64d054ca3b95';
-      console.log('🆔 Using projectId:', projectId);
-
-      token = (await Notifications.getExpoPushTokenAsync({
-        projectId: projectId
-      })).data;
+      token = await fetchExpoPushTokenAsync();
       console.log('🎫 Token received:', token);
     } catch (e) {
       console.error('❌ Error fetching push token:', e);
@@ -538,6 +1454,16 @@ async function registerForPushNotificationsAsync() {
   return token;
 }
 
+async function fetchExpoPushTokenAsync() {
+  const { valid, projectId, error } = validateProjectId();
+  if (!valid) throw new Error(error);
+  console.log('🆔 Using projectId:', projectId);
+
+  return (await Notifications.getExpoPushTokenAsync({
+    projectId: projectId
+  })).data;
+}
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -550,6 +1476,18 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 15,
   },
+  navRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  navLink: {
+    fontSize: 13,
+    color: '#007AFF',
+    marginHorizontal: 8,
+  },
   tokenSection: {
     marginHorizontal: 20,
     padding: 12,
@@ -578,12 +1516,30 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginBottom: 8,
   },
+  socketStatus: {
+    fontSize: 12,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
   webNotice: {
     fontSize: 11,
     color: '#FF8C00',
     marginBottom: 8,
     fontStyle: 'italic',
   },
+  enableWebPushButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#007AFF',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+  },
+  enableWebPushText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   token: {
     fontSize: 9,
     color: '#555',
@@ -639,6 +1595,11 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  unreadCount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
   refreshButton: {
     padding: 5,
   },
@@ -646,57 +1607,34 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: '#007AFF',
   },
+  syncInfo: {
+    fontSize: 11,
+    color: '#999',
+    marginHorizontal: 20,
+    marginTop: -6,
+    marginBottom: 8,
+  },
+  syncInfoOffline: {
+    color: '#FF8C00',
+  },
   loader: {
     marginTop: 50,
   },
+  pageLoader: {
+    marginVertical: 15,
+  },
   messagesList: {
     flex: 1,
     paddingHorizontal: 20,
   },
-  messageCard: {
-    backgroundColor: '#f9f9f9',
-    borderRadius: 8,
-    padding: 15,
-    marginBottom: 12,
-    borderLeftWidth: 3,
-    borderLeftColor: '#007AFF',
-  },
-  messageHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 8,
-  },
-  messageTitle: {
-    fontSize: 16,
-    fontWeight: 'bold',
-    color: '#333',
-    flex: 1,
-  },
-  messageStatus: {
-    fontSize: 11,
+  sectionHeader: {
+    fontSize: 13,
+    fontWeight: '600',
     color: '#666',
-    backgroundColor: '#e0e0e0',
-    paddingHorizontal: 8,
-    paddingVertical: 3,
-    borderRadius: 4,
-  },
-  messageContent: {
-    fontSize: 14,
-    color: '#555',
+    textTransform: 'uppercase',
+    marginTop: 4,
     marginBottom: 8,
   },
-  messageDate: {
-    fontSize: 12,
-    color: '#999',
-    marginBottom: 5,
-  },
-  messageCategory: {
-    fontSize: 11,
-    color: '#777',
-    fontStyle: 'italic',
-    marginBottom: 10,
-  },
   testButton: {
     backgroundColor: '#28a745',
     paddingVertical: 8,
@@ -704,11 +1642,6 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     alignSelf: 'flex-start',
   },
-  testButtonText: {
-    color: '#fff',
-    fontSize: 13,
-    fontWeight: '600',
-  },
   emptyState: {
     alignItems: 'center',
     marginTop: 50,
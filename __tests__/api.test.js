@@ -0,0 +1,28 @@
+import { getMessages } from '../api';
+import { startBackend } from './support/app';
+
+describe('api responses', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startBackend();
+  });
+
+  afterEach(() => server.close());
+
+  it('accepts a bare array body', async () => {
+    server.failNext('GET', '/api/push-messages', 200, [{ _id: 'm1' }]);
+
+    const result = await getMessages();
+
+    expect(result).toMatchObject({ success: true, data: [{ _id: 'm1' }], error: null, status: 200 });
+  });
+
+  it('treats a bare array body on an error status as a failure', async () => {
+    server.failNext('GET', '/api/push-messages', 403, []);
+
+    const result = await getMessages();
+
+    expect(result).toMatchObject({ success: false, error: 'HTTP 403', status: 403 });
+  });
+});
@@ -0,0 +1,21 @@
+import { buildDashboard } from '../deliveryStats';
+import { sentMessage } from './support/app';
+
+describe('buildDashboard', () => {
+  const messages = [sentMessage('m1'), sentMessage('m2', { status: 'Failed', deliveredAt: null })];
+
+  it('flags the figures it had to work out from the loaded messages', () => {
+    const dashboard = buildDashboard({}, messages);
+
+    expect(dashboard).toMatchObject({ statusSource: 'device', latencySource: 'device', sentPerDaySource: 'device' });
+    expect(dashboard.statusCounts).toEqual({ Sent: 1, Failed: 1 });
+    expect(dashboard.latency.count).toBe(1);
+  });
+
+  it('prefers the server for the figures it reports', () => {
+    const latency = { average: 1200, median: 900, p95: 4000 };
+    const dashboard = buildDashboard({ byStatus: { Sent: 40, Failed: 2 }, latency }, messages);
+
+    expect(dashboard).toMatchObject({ statusSource: 'server', latencySource: 'server', latency });
+  });
+});
@@ -0,0 +1,84 @@
+import { act, cleanupAsync, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import App from '../App';
+import { setApiBaseUrl } from '../config';
+import { enqueueEvent, flushEvents } from '../eventQueue';
+import { readLedger, renderApp, returnToForeground, seedLedger, sentMessage, startBackend } from './support/app';
+
+const { startMockServer } = require('../scripts/mock-bull-queue-server');
+
+const wait = (ms) => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+
+describe('switching backends', () => {
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    first = await startBackend();
+    second = await startMockServer();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await first.close();
+    await second.close();
+  });
+
+  it('drops a response from the previous backend that arrives after the switch', async () => {
+    first.messages = [sentMessage('a1')];
+    second.messages = [sentMessage('b1')];
+    const screen = await renderApp(App, first);
+    await waitFor(() => expect(screen.getByText('Message a1')).toBeTruthy());
+
+    // A poll of the first backend is still in flight when the switch happens
+    first.messages = [sentMessage('a2'), ...first.messages];
+    first.delayNext('GET', '/api/push-messages', 500);
+    const fetches = first.requestsTo('GET', '/api/push-messages').length;
+    await returnToForeground();
+    await waitFor(() => expect(first.requestsTo('GET', '/api/push-messages').length).toBeGreaterThan(fetches));
+
+    fireEvent(screen.getByText('Push Notifications'), 'longPress');
+    fireEvent.changeText(screen.getByPlaceholderText('http://192.168.1.10:3001'), second.url);
+    fireEvent.press(screen.getByText('Use custom URL'));
+    await waitFor(() => expect(screen.getByText('Message b1')).toBeTruthy());
+
+    await wait(700);
+    expect(screen.queryByText('Message a1')).toBeNull();
+    expect(screen.queryByText('Message a2')).toBeNull();
+    expect(screen.getByText('Message b1')).toBeTruthy();
+  });
+
+  it('records the new backend\'s history as seen without notifying', async () => {
+    await seedLedger();
+    second.messages = [sentMessage('b1'), sentMessage('b2')];
+    const screen = await renderApp(App, first);
+    await waitFor(() => expect(screen.getByText(/No scheduled messages/)).toBeTruthy());
+
+    fireEvent(screen.getByText('Push Notifications'), 'longPress');
+    fireEvent.changeText(screen.getByPlaceholderText('http://192.168.1.10:3001'), second.url);
+    fireEvent.press(screen.getByText('Use custom URL'));
+
+    await waitFor(async () => expect(Object.keys(await readLedger()).sort()).toEqual(['b1', 'b2']));
+    expect(screen.getByText('Message b1')).toBeTruthy();
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('sends queued engagement events to the backend they were recorded against', async () => {
+    first.failNext('POST', '/api/push-messages/events', 503);
+    await enqueueEvent({ type: 'opened', messageId: 'a1' });
+    await flushEvents();
+
+    setApiBaseUrl(second.url, 'custom');
+    await flushEvents();
+    expect(second.requestsTo('POST', '/api/push-messages/events')).toHaveLength(0);
+
+    setApiBaseUrl(first.url, 'test');
+    await flushEvents();
+    const [, delivered] = first.requestsTo('POST', '/api/push-messages/events');
+    expect(delivered.body.events).toEqual([expect.objectContaining({ type: 'opened', messageId: 'a1' })]);
+    expect(delivered.body.events[0]).not.toHaveProperty('serverUrl');
+  });
+});
@@ -0,0 +1,40 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { enqueueEvent, flushEvents } from '../eventQueue';
+import { startBackend } from './support/app';
+
+const EVENTS_PATH = '/api/push-messages/events';
+
+describe('engagement event queue', () => {
+  let server;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(() => server.close());
+
+  const postedMessageIds = () => server.requestsTo('POST', EVENTS_PATH)
+    .map(request => request.body.events.map(event => event.messageId));
+
+  it('drops a batch the backend rejects so later events still go out', async () => {
+    server.failNext('POST', EVENTS_PATH, 400, { success: false, error: 'Malformed event' });
+    await enqueueEvent({ type: 'opened', messageId: 'm1' });
+    await flushEvents();
+
+    await enqueueEvent({ type: 'opened', messageId: 'm2' });
+    await flushEvents();
+
+    expect(postedMessageIds()).toEqual([['m1'], ['m2']]);
+  });
+
+  it('keeps the queue when the backend is down', async () => {
+    server.failNext('POST', EVENTS_PATH, 503);
+    await enqueueEvent({ type: 'opened', messageId: 'm3' });
+    await flushEvents();
+
+    await flushEvents();
+
+    expect(postedMessageIds()).toEqual([['m3'], ['m3']]);
+  });
+});
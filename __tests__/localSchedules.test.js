@@ -0,0 +1,45 @@
+import * as Notifications from 'expo-notifications';
+import { dismissDuplicateNotifications, reconcileLocalSchedules } from '../localSchedules';
+import { DEFAULT_PREFERENCES } from '../preferences';
+import { sentMessage } from './support/app';
+
+const inAnHour = (id) => sentMessage(id, { status: 'Scheduled', scheduledDateTime: new Date(Date.now() + 3600000).toISOString() });
+
+const presented = (identifier, messageId, triggerType) =>
+  ({ request: { identifier, content: { data: { messageId } }, trigger: { type: triggerType } } });
+
+describe('local schedules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('runs overlapping reconciles one after the other', async () => {
+    // The OS's pending list, as the mock sees it
+    const pending = [];
+    Notifications.getAllScheduledNotificationsAsync.mockImplementation(async () => [...pending]);
+    Notifications.scheduleNotificationAsync.mockImplementation(async (request) => {
+      pending.push(request);
+      return request.identifier;
+    });
+
+    const messages = [inAnHour('m1')];
+    const results = await Promise.all([
+      reconcileLocalSchedules(messages, DEFAULT_PREFERENCES),
+      reconcileLocalSchedules(messages, DEFAULT_PREFERENCES),
+    ]);
+
+    expect(results.map(result => result.scheduled.length)).toEqual([1, 0]);
+    expect(pending.map(request => request.identifier)).toEqual(['scheduled-m1']);
+  });
+
+  it('takes remote duplicates of a local schedule out of the tray', async () => {
+    Notifications.getPresentedNotificationsAsync.mockResolvedValueOnce([
+      presented('scheduled-m1', 'm1', 'date'),
+      presented('remote-m1', 'm1', 'push'),
+      presented('remote-m2', 'm2', 'push'),
+    ]);
+
+    expect(await dismissDuplicateNotifications()).toBe(1);
+    expect(Notifications.dismissNotificationAsync.mock.calls).toEqual([['remote-m1']]);
+  });
+});
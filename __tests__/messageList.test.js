@@ -0,0 +1,78 @@
+import { cleanupAsync, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import App from '../App';
+import { reconcileNewestPage } from '../messageCache';
+import { renderApp, returnToForeground, sentMessage, startBackend } from './support/app';
+
+// Newest first, one minute apart
+const messageList = (count) => Array.from({ length: count }, (_, index) =>
+  sentMessage(`m${index + 1}`, { scheduledDateTime: new Date(Date.now() - index * 60000).toISOString() })
+);
+
+describe('message list', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('drops messages deleted on the server at the next poll', async () => {
+    server.messages = messageList(2);
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(screen.getByText('Message m2')).toBeTruthy());
+
+    server.messages = server.messages.slice(0, 1);
+    const fetches = server.requestsTo('GET', '/api/push-messages').length;
+    await returnToForeground();
+
+    await waitFor(() => expect(server.requestsTo('GET', '/api/push-messages').length).toBeGreaterThan(fetches));
+    await waitFor(() => expect(screen.queryByText('Message m2')).toBeNull());
+    expect(screen.getByText('Message m1')).toBeTruthy();
+  });
+
+  it('fetches a message from a notification tap that is past the loaded page', async () => {
+    server.messages = messageList(60);
+    Notifications.getLastNotificationResponseAsync.mockResolvedValueOnce({
+      actionIdentifier: 'expo.modules.notifications.actions.DEFAULT',
+      notification: { request: { identifier: 'n1', content: { data: { messageId: 'm60' } } } },
+    });
+
+    const screen = await renderApp(App, server);
+
+    await waitFor(() => expect(screen.getByText('Content of m60')).toBeTruthy());
+    expect(server.requestsTo('GET', '/api/push-messages/m60')).toHaveLength(1);
+  });
+
+  it('shows "Message not found" for a message the server does not have', async () => {
+    Notifications.getLastNotificationResponseAsync.mockResolvedValueOnce({
+      actionIdentifier: 'expo.modules.notifications.actions.DEFAULT',
+      notification: { request: { identifier: 'n1', content: { data: { messageId: 'gone' } } } },
+    });
+
+    const screen = await renderApp(App, server);
+
+    await waitFor(() => expect(screen.getByText('Message not found')).toBeTruthy());
+    expect(server.requestsTo('GET', '/api/push-messages/gone')).toHaveLength(1);
+  });
+});
+
+describe('reconcileNewestPage', () => {
+  const [m1, m2, m3, m4] = messageList(4);
+
+  it('keeps older pages and drops what is missing from the newest one', () => {
+    // m2 was deleted; m4 is on a page the user scrolled to
+    expect(reconcileNewestPage([m1, m2, m3, m4], [m1, m3], true).map(msg => msg._id)).toEqual(['m1', 'm3', 'm4']);
+  });
+
+  it('drops everything missing when the page is the whole list', () => {
+    expect(reconcileNewestPage([m1, m2, m3, m4], [m1, m3], false).map(msg => msg._id)).toEqual(['m1', 'm3']);
+  });
+});
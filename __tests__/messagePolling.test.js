@@ -0,0 +1,140 @@
+import { RefreshControl } from 'react-native';
+import { cleanupAsync, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import App from '../App';
+import { LEDGER_RETENTION_MS } from '../notificationLedger';
+import {
+  notifiedMessageIds,
+  readLedger,
+  renderApp,
+  returnToForeground,
+  seedLedger,
+  sentMessage,
+  startBackend,
+} from './support/app';
+
+const notified = () => notifiedMessageIds(Notifications.scheduleNotificationAsync);
+
+// Send a new message and wait until a catch-up poll has picked it up. The
+// rest of the list is polled again with it.
+const pollWithNewMessage = async (server, messageId) => {
+  server.messages = [sentMessage(messageId), ...server.messages];
+  await returnToForeground();
+  await waitFor(async () => expect(await readLedger()).toHaveProperty(messageId));
+};
+
+describe('polling dedupe window', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('marks the backlog as seen on a fresh install without alerting', async () => {
+    server.messages = [sentMessage('m1'), sentMessage('m2')];
+
+    await renderApp(App, server);
+
+    await waitFor(async () => expect(Object.keys(await readLedger()).sort()).toEqual(['m1', 'm2']));
+    expect(notified()).toEqual([]);
+
+    // Only what arrives after that is shown
+    await pollWithNewMessage(server, 'm3');
+    expect(notified()).toEqual(['m3']);
+  });
+
+  it('shows the first message after a fresh install with an empty backlog', async () => {
+    await renderApp(App, server);
+    // Saved even though there was nothing to record
+    await waitFor(async () => expect(await readLedger()).toEqual({}));
+
+    await pollWithNewMessage(server, 'm1');
+    expect(notified()).toEqual(['m1']);
+  });
+
+  it('shows each message once however often it is polled', async () => {
+    await seedLedger();
+    server.messages = [sentMessage('m1')];
+
+    await renderApp(App, server);
+    await waitFor(() => expect(notified()).toEqual(['m1']));
+
+    await pollWithNewMessage(server, 'm2');
+    await pollWithNewMessage(server, 'm3');
+    expect(notified()).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  it('does not show messages recorded as shown by an earlier launch', async () => {
+    await seedLedger({ m1: Date.now() - 60000 });
+    server.messages = [sentMessage('m1'), sentMessage('m2')];
+
+    await renderApp(App, server);
+
+    await waitFor(() => expect(notified()).toEqual(['m2']));
+    await pollWithNewMessage(server, 'm3');
+    expect(notified()).toEqual(['m2', 'm3']);
+  });
+
+  it('ignores messages sent before the retention window', async () => {
+    await seedLedger();
+    const longAgo = new Date(Date.now() - LEDGER_RETENTION_MS - 60000).toISOString();
+    server.messages = [sentMessage('recent'), sentMessage('old', { deliveredAt: longAgo, updatedAt: longAgo })];
+
+    await renderApp(App, server);
+
+    await waitFor(() => expect(notified()).toEqual(['recent']));
+    await pollWithNewMessage(server, 'next');
+    expect(notified()).toEqual(['recent', 'next']);
+    expect(await readLedger()).not.toHaveProperty('old');
+  });
+
+  it('sums up messages that arrived while the app was closed', async () => {
+    await seedLedger();
+    server.messages = [sentMessage('m1'), sentMessage('m2'), sentMessage('m3')];
+
+    await renderApp(App, server);
+
+    await waitFor(() => expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+      expect.objectContaining({
+        content: expect.objectContaining({
+          title: '3 new messages while you were away',
+          data: { messageIds: ['m1', 'm2', 'm3'] },
+        }),
+      })
+    ));
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('sums up messages that arrived while the app was in the background', async () => {
+    await seedLedger();
+    await renderApp(App, server);
+    await waitFor(async () => expect(await readLedger()).toEqual({}));
+
+    server.messages = [sentMessage('m1'), sentMessage('m2')];
+    await returnToForeground();
+
+    await waitFor(() => expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+      expect.objectContaining({ content: expect.objectContaining({ title: '2 new messages while you were away' }) })
+    ));
+  });
+
+  it('alerts for each message on a pull-to-refresh', async () => {
+    await seedLedger();
+    const screen = await renderApp(App, server);
+    await waitFor(async () => expect(await readLedger()).toEqual({}));
+
+    server.messages = [sentMessage('m1'), sentMessage('m2')];
+    fireEvent(screen.UNSAFE_getByType(RefreshControl), 'refresh');
+
+    await waitFor(() => expect(notified()).toEqual(['m1', 'm2']));
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,30 @@
+import { sanitizeMessage } from '../messageSchema';
+import { sentMessage } from './support/app';
+
+describe('sanitizeMessage', () => {
+  it('keeps only the validated data fields', () => {
+    const { message } = sanitizeMessage(sentMessage('m1', {
+      data: {
+        schemaVersion: 1,
+        imageUrl: `https://example.com/${'x'.repeat(5000)}.png`,
+        attachment: { url: 'https://example.com/leaflet.pdf', name: 'L'.repeat(500), secret: 'internal' },
+        cta: { label: 'Open appointment', url: 'sephealth://messages/m1', tracking: { campaign: 'spring' } },
+        internalNotes: 'n'.repeat(100000),
+      },
+    }));
+
+    expect(message.data).toEqual({
+      schemaVersion: 1,
+      attachment: { url: 'https://example.com/leaflet.pdf', name: 'L'.repeat(80) },
+      cta: { label: 'Open appointment', url: 'sephealth://messages/m1' },
+    });
+    expect(message.rich).toEqual({ version: 1, imageUrl: null, attachment: message.data.attachment, cta: message.data.cta });
+  });
+
+  it('drops a data payload with nothing usable', () => {
+    const { message } = sanitizeMessage(sentMessage('m1', { data: { imageUrl: 'javascript:alert(1)', extra: true } }));
+
+    expect(message).not.toHaveProperty('data');
+    expect(message.rich).not.toHaveProperty('errors');
+  });
+});
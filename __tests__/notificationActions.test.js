@@ -0,0 +1,32 @@
+import * as Notifications from 'expo-notifications';
+import { snoozeNotification } from '../notificationActions';
+
+const scheduledRequest = () => Notifications.scheduleNotificationAsync.mock.calls[0][0];
+
+describe('snoozeNotification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('snoozes a notification without a messageId under its own identifier', async () => {
+    const summary = {
+      identifier: 'summary-1',
+      content: { title: '3 new messages while you were away', body: '• One', data: { messageIds: ['m1', 'm2', 'm3'] } },
+    };
+
+    await snoozeNotification(summary, 60);
+
+    expect(scheduledRequest().identifier).toBe('snoozed-summary-1');
+    expect(scheduledRequest().content.categoryIdentifier).toBeUndefined();
+    expect(scheduledRequest().trigger).toMatchObject({ type: 'timeInterval', seconds: 3600 });
+  });
+
+  it('replaces the earlier snooze when snoozed again', async () => {
+    const snoozed = { identifier: 'snoozed-scheduled-m1', content: { title: 'Take your medication', body: '', data: { messageId: 'm1' } } };
+
+    await snoozeNotification(snoozed, 15);
+
+    expect(scheduledRequest().identifier).toBe('snoozed-scheduled-m1');
+    expect(scheduledRequest().content.categoryIdentifier).toBeDefined();
+  });
+});
@@ -0,0 +1,69 @@
+import { Alert } from 'react-native';
+import { cleanupAsync, render, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import App from '../App';
+import { renderApp, startBackend } from './support/app';
+
+describe('device registration', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert');
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('registers the push token and confirms a new registration', async () => {
+    await renderApp(App, server);
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Success', 'Device registered successfully!'));
+    expect(server.devices).toHaveLength(1);
+    expect(server.devices[0]).toMatchObject({
+      pushToken: 'ExponentPushToken[test-device]',
+      platform: 'ios',
+      localScheduling: true,
+    });
+  });
+
+  it('re-registers quietly on a routine launch', async () => {
+    const firstLaunch = await renderApp(App, server);
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Success', 'Device registered successfully!'));
+    await firstLaunch.unmountAsync();
+    Alert.alert.mockClear();
+
+    await renderApp(App, server);
+    await waitFor(() => expect(server.requestsTo('POST', '/api/device/register')).toHaveLength(2));
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+
+  it('shows the backend error when registration is rejected', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server.failNext('POST', '/api/device/register', 400, { success: false, error: 'Unknown project' });
+
+    await renderApp(App, server);
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Registration Error', 'Unknown project'));
+    expect(server.devices).toHaveLength(0);
+    console.error.mockRestore();
+  });
+
+  it('reports a connection error when the backend is unreachable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await server.close(); // nothing listens on its port any more
+
+    render(<App />);
+
+    // Both requests give up after their own retries
+    await waitFor(() => {
+      expect(Alert.alert).toHaveBeenCalledWith('Connection Error', `Could not reach backend at ${server.url}. Check Wi-Fi/Firewall.`);
+      expect(Alert.alert).toHaveBeenCalledWith('Connection Error', 'Could not connect to Bull Queue server.');
+    }, { timeout: 10000 });
+    console.error.mockRestore();
+  }, 15000);
+});
@@ -0,0 +1,53 @@
+import { cleanupAsync, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import App from '../App';
+import { notifiedMessageIds, renderApp, returnToForeground, seedLedger, sentMessage, startBackend } from './support/app';
+
+const notified = () => notifiedMessageIds(Notifications.scheduleNotificationAsync);
+
+describe('rich message content', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('attaches the image and passes the call-to-action link with the notification', async () => {
+    await seedLedger();
+    server.messages = [sentMessage('m1', {
+      data: {
+        schemaVersion: 1,
+        imageUrl: 'https://example.com/banner.png?size=large',
+        cta: { label: 'Open appointment', url: 'sephealth://messages/m1' },
+      },
+    })];
+
+    await renderApp(App, server);
+
+    await waitFor(() => expect(notified()).toEqual(['m1']));
+    const { content } = Notifications.scheduleNotificationAsync.mock.calls[0][0];
+    expect(content.attachments).toEqual([{ identifier: 'image', url: 'file:///cache/notification-image-m1.png', type: null }]);
+    expect(content.data).toMatchObject({ imageUrl: 'https://example.com/banner.png?size=large', ctaUrl: 'sephealth://messages/m1' });
+  });
+
+  it('logs a malformed payload once however often it is synced', async () => {
+    server.messages = [sentMessage('m1', { data: { imageUrl: 'javascript:alert(1)' } })];
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(screen.getByText('Message m1')).toBeTruthy());
+
+    const fetches = server.requestsTo('GET', '/api/push-messages').length;
+    await returnToForeground();
+    await waitFor(() => expect(server.requestsTo('GET', '/api/push-messages').length).toBeGreaterThan(fetches));
+
+    const payloadLogs = console.log.mock.calls.filter(([text]) => text === '⚠️ Message m1 data payload:');
+    expect(payloadLogs).toEqual([['⚠️ Message m1 data payload:', 'imageUrl is not an http(s) URL']]);
+  });
+});
@@ -0,0 +1,106 @@
+import { Alert } from 'react-native';
+import { cleanupAsync, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import App from '../App';
+import { setAuthToken } from '../api';
+import * as Notifications from 'expo-notifications';
+import { readLedger, renderApp, seedLedger, sentMessage, startBackend } from './support/app';
+
+const registrations = (server) => server.requestsTo('POST', '/api/device/register');
+const lastOf = (list) => list[list.length - 1];
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600000).toISOString();
+
+// Open the login screen from the list and submit it
+const signInWith = (screen, password) => {
+  fireEvent.press(screen.getByText('👤 Sign in'));
+  fireEvent.changeText(screen.getByPlaceholderText('you@example.com'), 'patient@sephealth.test');
+  fireEvent.changeText(screen.getByPlaceholderText('Password'), password);
+  fireEvent.press(screen.getByText('Sign in'));
+};
+
+describe('sign-in', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    // Confirm the sign-out prompt
+    jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      if (title === 'Sign out') buttons.find(button => button.style === 'destructive').onPress();
+    });
+    await AsyncStorage.clear();
+    // Forget the previous test's session
+    await SecureStore.deleteItemAsync('sephealth.session');
+    setAuthToken(null);
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    Alert.alert.mockRestore();
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('sends the session with every request and re-registers the device for the user', async () => {
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(registrations(server)).toHaveLength(1));
+    expect(registrations(server)[0].body.userId).toBeNull();
+    expect(registrations(server)[0].headers).not.toHaveProperty('authorization');
+
+    const fetches = server.requestsTo('GET', '/api/push-messages').length;
+    signInWith(screen, 'password');
+
+    await waitFor(() => expect(registrations(server)).toHaveLength(2));
+    expect(registrations(server)[1].body).toMatchObject({ pushToken: 'ExponentPushToken[test-device]', userId: 'user-1' });
+    expect(registrations(server)[1].headers.authorization).toBe('Bearer token-user-1');
+    expect(server.devices).toHaveLength(1);
+
+    await waitFor(() => expect(server.requestsTo('GET', '/api/push-messages').length).toBeGreaterThan(fetches));
+    expect(lastOf(server.requestsTo('GET', '/api/push-messages')).headers.authorization).toBe('Bearer token-user-1');
+
+    fireEvent.press(await screen.findByText('📨 Test'));
+    await waitFor(() => expect(server.requestsTo('POST', '/api/push-messages/immediate')).toHaveLength(1));
+    expect(server.requestsTo('POST', '/api/push-messages/immediate')[0].headers.authorization).toBe('Bearer token-user-1');
+  });
+
+  it("records the user's earlier messages as seen without notifying", async () => {
+    await seedLedger();
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(registrations(server)).toHaveLength(1));
+
+    // Sent to this user before they signed in on this device
+    const sentAt = daysAgo(5);
+    server.messages = ['m1', 'm2'].map(id => sentMessage(id, { scheduledDateTime: sentAt, deliveredAt: sentAt, updatedAt: sentAt }));
+    signInWith(screen, 'password');
+
+    await waitFor(async () => expect(Object.keys(await readLedger()).sort()).toEqual(['m1', 'm2']));
+    expect(screen.getByText('Message m1')).toBeTruthy();
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong password without registering again', async () => {
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(registrations(server)).toHaveLength(1));
+
+    signInWith(screen, 'wrong');
+
+    await waitFor(() => expect(screen.getByText('Invalid email or password')).toBeTruthy());
+    expect(registrations(server)).toHaveLength(1);
+  });
+
+  it('logs out and re-registers the device without the user', async () => {
+    const screen = await renderApp(App, server);
+    signInWith(screen, 'password');
+    await waitFor(() => expect(lastOf(registrations(server))?.body.userId).toBe('user-1'));
+    const count = registrations(server).length;
+
+    fireEvent.press(await screen.findByText('👤 Sign out'));
+
+    await waitFor(() => expect(registrations(server).length).toBeGreaterThan(count));
+    expect(server.requestsTo('POST', '/api/auth/logout')).toHaveLength(1);
+    expect(server.requestsTo('POST', '/api/auth/logout')[0].headers.authorization).toBe('Bearer token-user-1');
+    expect(lastOf(registrations(server)).body.userId).toBeNull();
+    expect(lastOf(registrations(server)).headers).not.toHaveProperty('authorization');
+    expect(screen.getByText('User: Not signed in')).toBeTruthy();
+  });
+});
@@ -0,0 +1,82 @@
+import { cleanupAsync, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import App from '../App';
+import { getRejectedPayloads } from '../messageSchema';
+import { notifiedMessageIds, renderApp, seedLedger, sentMessage, startBackend } from './support/app';
+
+const notified = () => notifiedMessageIds(Notifications.scheduleNotificationAsync);
+const fetchCount = (server) => server.requestsTo('GET', '/api/push-messages').length;
+
+describe('socket statusUpdate', () => {
+  let server;
+
+  // Render with a seeded ledger and wait for the first fetch and the socket
+  const launch = async () => {
+    await seedLedger();
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(screen.getByText(/Real-time: Connected/)).toBeTruthy());
+    return screen;
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('refetches and shows a message as soon as it is sent', async () => {
+    await launch();
+    const fetches = fetchCount(server);
+
+    server.messages = [sentMessage('m1', { title: 'Take your medication' })];
+    server.emitStatusUpdate({ messageId: 'm1', status: 'Sent', deliveredAt: new Date().toISOString() });
+
+    await waitFor(() => expect(notified()).toEqual(['m1']));
+    expect(fetchCount(server)).toBe(fetches + 1);
+  });
+
+  it('updates a listed message in place without refetching', async () => {
+    server.messages = [sentMessage('m1', { status: 'Scheduled', scheduledDateTime: new Date(Date.now() + 3600000).toISOString() })];
+    const screen = await launch();
+    await waitFor(() => expect(screen.getByText('Message m1')).toBeTruthy());
+    const fetches = fetchCount(server);
+
+    server.emitStatusUpdate({ messageId: 'm1', status: 'Cancelled' });
+
+    await waitFor(() => expect(screen.getByText(/Cancelled/)).toBeTruthy());
+    expect(fetchCount(server)).toBe(fetches);
+  });
+
+  it('does not refetch for a message that was already shown', async () => {
+    server.messages = [sentMessage('m1')];
+    await launch();
+    await waitFor(() => expect(notified()).toEqual(['m1']));
+    const fetches = fetchCount(server);
+
+    server.emitStatusUpdate({ messageId: 'm1', status: 'Sent' });
+    server.emitStatusUpdate({ messageId: 'm2', status: 'Delivered' });
+    // Sent last, so the two above have been handled once this one has
+    server.emitStatusUpdate({ messageId: 'm3', status: 'Sent' });
+
+    await waitFor(() => expect(fetchCount(server)).toBe(fetches + 1));
+    expect(notified()).toEqual(['m1']);
+  });
+
+  it('ignores malformed events', async () => {
+    await launch();
+    const fetches = fetchCount(server);
+
+    server.emitStatusUpdate({ messageId: 'm1', status: 'Exploded' });
+    server.emitStatusUpdate({ status: 'Sent' });
+
+    await waitFor(() => expect(getRejectedPayloads()).toHaveLength(2));
+    expect(getRejectedPayloads()[1]).toMatchObject({ source: 'statusUpdate', id: 'm1', reason: 'unknown status "Exploded"' });
+    expect(fetchCount(server)).toBe(fetches);
+  });
+});
@@ -0,0 +1,65 @@
+// app.js - Helpers for Rendering the App Against the Mock Server
+
+import { act, render, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { setApiBaseUrl } from '../../config';
+
+const { startMockServer } = require('../../scripts/mock-bull-queue-server');
+
+const LEDGER_KEY = '@sephealth/notification-ledger';
+
+// Start a mock backend and point every endpoint at it
+export const startBackend = async (options) => {
+  const server = await startMockServer(options);
+  setApiBaseUrl(server.url, 'test');
+  return server;
+};
+
+// A message the backend has already sent
+export const sentMessage = (id, overrides = {}) => {
+  const sentAt = new Date().toISOString();
+  return {
+    _id: id,
+    title: `Message ${id}`,
+    content: `Content of ${id}`,
+    category: 'General',
+    priority: 'normal',
+    status: 'Sent',
+    scheduledDateTime: sentAt,
+    deliveredAt: sentAt,
+    updatedAt: sentAt,
+    ...overrides,
+  };
+};
+
+// Without a ledger the app treats itself as freshly installed and shows
+// nothing; seeding one makes it notify about new messages
+export const seedLedger = (seen = {}) =>
+  AsyncStorage.setItem(LEDGER_KEY, JSON.stringify({ seen }));
+
+// messageId -> seenAt of what the app has recorded as shown, null before it saves a ledger
+export const readLedger = async () => {
+  const raw = await AsyncStorage.getItem(LEDGER_KEY);
+  return raw ? JSON.parse(raw).seen : null;
+};
+
+// Render the app and wait for its first message fetch
+export const renderApp = async (App, server) => {
+  const screen = render(<App />);
+  await waitFor(() => expect(server.requestsTo('GET', '/api/push-messages').length).toBeGreaterThan(0));
+  return screen;
+};
+
+// Local notifications the app scheduled for these messages (in-app alerts, not local schedules)
+export const notifiedMessageIds = (scheduleNotificationAsync) => scheduleNotificationAsync.mock.calls
+  .map(([request]) => request)
+  .filter(request => request.trigger?.type === 'timeInterval')
+  .map(request => request.content.data?.messageId);
+
+// Background and foreground the app, which runs a catch-up poll
+export const returnToForeground = () => act(() => {
+  const handlers = AppState.addEventListener.mock.calls.map(([, handler]) => handler);
+  handlers.forEach(handler => handler('background'));
+  handlers.forEach(handler => handler('active'));
+});
@@ -0,0 +1,79 @@
+// setup.js - Native Module Mocks for the Test Suite
+// jest-expo has no native side, so the Expo modules the app calls are replaced
+// with in-memory versions here. Everything over the network goes to the mock
+// Bull Queue server (scripts/mock-bull-queue-server.js) instead.
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => { store.set(key, value); }),
+    deleteItemAsync: jest.fn(async (key) => { store.delete(key); }),
+  };
+});
+
+// The app reads its version and EAS projectId from app.json at runtime
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: require('../../app.json').expo, easConfig: null },
+}));
+
+jest.mock('expo-device', () => ({
+  isDevice: true,
+  brand: 'Test',
+  deviceName: 'Test Phone',
+  modelName: 'Test Phone',
+  osName: 'iOS',
+  osVersion: '18.0',
+}));
+
+// Downloads "succeed" without touching the network
+jest.mock('expo-file-system', () => {
+  class File {
+    constructor(directory, name) {
+      this.uri = `${directory.uri}/${name}`;
+    }
+
+    static downloadFileAsync = jest.fn(async (url, destination) => destination);
+  }
+
+  return { File, Paths: { cache: { uri: 'file:///cache' } } };
+});
+
+// Permission granted and a fixed push token unless a test says otherwise.
+// Tests read what was shown from scheduleNotificationAsync's calls.
+jest.mock('expo-notifications', () => {
+  const subscription = () => ({ remove: jest.fn() });
+
+  return {
+    AndroidImportance: { MIN: 1, LOW: 2, DEFAULT: 3, HIGH: 4, MAX: 5 },
+    AndroidNotificationPriority: { MIN: 'min', LOW: 'low', DEFAULT: 'default', HIGH: 'high', MAX: 'max' },
+    SchedulableTriggerInputTypes: { DATE: 'date', TIME_INTERVAL: 'timeInterval' },
+    setNotificationHandler: jest.fn(),
+    setNotificationChannelAsync: jest.fn(async () => null),
+    setNotificationCategoryAsync: jest.fn(async () => null),
+    getPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+    requestPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+    getExpoPushTokenAsync: jest.fn(async () => ({ data: 'ExponentPushToken[test-device]' })),
+    addPushTokenListener: jest.fn(subscription),
+    addNotificationReceivedListener: jest.fn(subscription),
+    addNotificationResponseReceivedListener: jest.fn(subscription),
+    getLastNotificationResponseAsync: jest.fn(async () => null),
+    clearLastNotificationResponseAsync: jest.fn(async () => {}),
+    scheduleNotificationAsync: jest.fn(async (request) => request.identifier || 'local-notification'),
+    cancelScheduledNotificationAsync: jest.fn(async () => {}),
+    getAllScheduledNotificationsAsync: jest.fn(async () => []),
+    getPresentedNotificationsAsync: jest.fn(async () => []),
+    dismissNotificationAsync: jest.fn(async () => {}),
+    setBadgeCountAsync: jest.fn(async () => true),
+  };
+});
+
+// The app logs every step; set DEBUG_TESTS=1 to see it
+if (!process.env.DEBUG_TESTS) {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+}
@@ -0,0 +1,96 @@
+import { Alert, Platform } from 'react-native';
+import { cleanupAsync, fireEvent, render, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { readLedger, renderApp, seedLedger, sentMessage, startBackend } from './support/app';
+
+// The test environment has no browser APIs, so Web Push is never available
+// and every web fallback is taken
+let App;
+
+beforeAll(() => {
+  Platform.OS = 'web';
+  window.location = { search: '' }; // A page without ?messageId
+  App = require('../App').default; // App.js reads the platform when it loads
+});
+
+afterAll(() => {
+  Platform.OS = 'ios';
+  delete window.location;
+});
+
+describe('web mode', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert');
+    await AsyncStorage.clear();
+    server = await startBackend();
+  });
+
+  afterEach(async () => {
+    await cleanupAsync();
+    await server.close();
+  });
+
+  it('registers a simulated token when Web Push is unavailable', async () => {
+    const screen = await renderApp(App, server);
+
+    await waitFor(() => expect(server.devices).toHaveLength(1));
+    expect(server.devices[0].pushToken).toMatch(/^web-simulator-token-/);
+    expect(server.devices[0]).toMatchObject({ platform: 'web', localScheduling: false });
+    expect(server.devices[0]).not.toHaveProperty('webPushSubscription');
+    expect(screen.getByText(/Web Mode: Web Push isn't available here/)).toBeTruthy();
+    expect(Notifications.getPermissionsAsync).not.toHaveBeenCalled();
+  });
+
+  it('records new messages without notifying when the browser cannot show them', async () => {
+    await seedLedger();
+    server.messages = [sentMessage('m1')];
+
+    await renderApp(App, server);
+
+    await waitFor(async () => expect(await readLedger()).toHaveProperty('m1'));
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+
+  it('shows a test notification as an alert', async () => {
+    server.messages = [sentMessage('m1', { title: 'Clinic reminder', content: 'See you **tomorrow**' })];
+    const screen = await renderApp(App, server);
+
+    fireEvent.press(await screen.findByText('Test'));
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Test Notification', 'Clinic reminder\n\nSee you tomorrow'));
+  });
+
+  it('sends a test message through the API without a device ID', async () => {
+    const screen = await renderApp(App, server);
+    await waitFor(() => expect(server.devices).toHaveLength(1));
+
+    fireEvent.press(screen.getByText('📨 Test'));
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Success!', expect.stringContaining('Created 1 notification(s)')));
+    expect(server.requestsTo('POST', '/api/push-messages/immediate')[0].body).toMatchObject({ category: 'Test', deviceId: null });
+    expect(screen.getByText('SEPHealth Test')).toBeTruthy();
+  });
+
+  it('reports a connection error when the backend is unreachable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await server.close(); // nothing listens on its port any more
+
+    render(<App />);
+
+    await waitFor(
+      () => expect(Alert.alert).toHaveBeenCalledWith('Connection Error', 'Could not connect to Bull Queue server'),
+      { timeout: 10000 }
+    );
+    // The message list fails the same way; let it finish before the next test
+    await waitFor(
+      () => expect(Alert.alert).toHaveBeenCalledWith('Connection Error', 'Could not connect to Bull Queue server.'),
+      { timeout: 10000 }
+    );
+    console.error.mockRestore();
+  }, 15000);
+});
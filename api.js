@@ -0,0 +1,216 @@
+// api.js - Bull Queue API Client
+// Every HTTP call to the backend goes through here so timeouts, retries and
+// response parsing behave the same for the whole app.
+
+import { API_CONFIG, APP_CONFIG } from './config';
+
+/**
+ * @typedef {Object} ApiResult
+ * @property {boolean} success - true when the request completed and the backend reported success
+ * @property {*} data - `data` field of the response body, or the whole body when there is none
+ * @property {string|null} error - human readable error message when success is false
+ * @property {number} status - HTTP status code, 0 when the request never got a response
+ * @property {Object} meta - any other top-level fields of the response body (count, cursor, ...)
+ */
+
+// Bearer token of the signed-in user, sent with every request while set
+let authToken = null;
+let onUnauthorized = null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+// Called once when an authenticated request comes back 401 (expired or revoked session)
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures, timeouts and 5xx responses are worth another attempt; 4xx are not
+export const isRetryable = (status) => status === 0 || status >= 500;
+
+const normalize = (status, payload) => {
+  const ok = status >= 200 && status < 300;
+
+  // Some endpoints return a bare array; it is only a result on a 2xx
+  if (Array.isArray(payload)) {
+    return { success: ok, data: payload, error: ok ? null : `HTTP ${status}`, status, meta: {} };
+  }
+
+  const body = payload || {};
+  const { success: _success, data, error, ...meta } = body;
+  const success = ok && body.success !== false;
+
+  return {
+    success,
+    data: data !== undefined ? data : body,
+    error: success ? null : (error || body.message || `HTTP ${status}`),
+    status,
+    meta,
+  };
+};
+
+// Append query params, skipping empty values
+const withParams = (url, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+const attempt = async (url, { method, headers, body, timeout }) => {
+  // Use AbortController for compatible timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (e) {
+      payload = { error: `HTTP ${response.status}: ${response.statusText}` };
+    }
+
+    return normalize(response.status, payload);
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Request timeout' : error.message;
+    return { success: false, data: null, error: message, status: 0, meta: {} };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Perform a request against the backend.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @param {Object} [options.params] - query string parameters
+ * @param {*} [options.body] - serialized as JSON
+ * @param {number} [options.timeout] - defaults to APP_CONFIG.requestTimeout
+ * @param {number} [options.retries] - defaults to APP_CONFIG.retry.attempts
+ * @returns {Promise<ApiResult>}
+ */
+export const request = async (url, options = {}) => {
+  const {
+    method = 'GET',
+    headers = {},
+    params,
+    body,
+    timeout = APP_CONFIG.requestTimeout,
+    retries = APP_CONFIG.retry.attempts,
+  } = options;
+
+  const sentToken = authToken;
+  const allHeaders = sentToken ? { Authorization: `Bearer ${sentToken}`, ...headers } : headers;
+
+  let result;
+  for (let i = 0; i <= retries; i++) {
+    if (i > 0) {
+      const delay = APP_CONFIG.retry.delay * Math.pow(APP_CONFIG.retry.backoffFactor, i - 1);
+      console.log(`🔁 Retrying ${method} ${url} in ${delay}ms (attempt ${i + 1}/${retries + 1})`);
+      await sleep(delay);
+    }
+
+    result = await attempt(withParams(url, params), { method, headers: allHeaders, body, timeout });
+    if (result.success || !isRetryable(result.status)) break;
+  }
+
+  // Ignore 401s for a token that has already been replaced or cleared
+  if (result.status === 401 && sentToken && sentToken === authToken) {
+    onUnauthorized?.(result);
+  }
+
+  return result;
+};
+
+// Register (or update) this device's push token
+export const registerDevice = (device, options = {}) =>
+  request(API_CONFIG.endpoints.deviceRegister, { method: 'POST', body: device, ...options });
+
+// Tell the backend to stop sending pushes to this device
+export const unregisterDevice = (device, options = {}) =>
+  request(API_CONFIG.endpoints.deviceUnregister, { method: 'POST', body: device, ...options });
+
+// List push messages. With `since` (a cursor from a previous response) the
+// backend returns only what changed after it, plus tombstones for deletions.
+export const getMessages = ({ since, page, limit, ...options } = {}) =>
+  request(API_CONFIG.endpoints.pushMessages, { ...options, params: { ...options.params, since, page, limit } });
+
+const messageUrl = (id) => `${API_CONFIG.endpoints.pushMessages}/${encodeURIComponent(id)}`;
+
+// One message, for links to a message that isn't in the loaded pages
+export const getMessage = (id, options = {}) =>
+  request(messageUrl(id), options);
+
+// Schedule a new message. Not retried: a repeat would schedule it twice.
+export const createMessage = (message, options = {}) =>
+  request(API_CONFIG.endpoints.pushMessages, { method: 'POST', body: message, retries: 0, ...options });
+
+// Change a message that is still Scheduled
+export const updateMessage = (id, message, options = {}) =>
+  request(messageUrl(id), { method: 'PUT', body: message, ...options });
+
+// Cancel a message that is still Scheduled; it comes back as a deletion on the next sync
+export const cancelMessage = (id, options = {}) =>
+  request(messageUrl(id), { method: 'DELETE', ...options });
+
+// Create and send a notification right away. Not retried: a repeat would send twice.
+export const sendImmediate = (message, options = {}) =>
+  request(API_CONFIG.endpoints.immediateNotification, { method: 'POST', body: message, retries: 0, ...options });
+
+// Report engagement events (opened, acknowledged, ...) in one batch
+export const postEvents = (events, options = {}) =>
+  request(API_CONFIG.endpoints.events, { method: 'POST', body: { events }, ...options });
+
+export const login = (credentials, options = {}) =>
+  request(API_CONFIG.endpoints.login, { method: 'POST', body: credentials, retries: 0, ...options });
+
+export const logout = (options = {}) =>
+  request(API_CONFIG.endpoints.logout, { method: 'POST', retries: 0, ...options });
+
+export const getStats = (options = {}) =>
+  request(API_CONFIG.endpoints.stats, options);
+
+export const getDevices = (options = {}) =>
+  request(API_CONFIG.endpoints.devices, options);
+
+export const checkHealth = (options = {}) =>
+  request(API_CONFIG.endpoints.health, options);
+
+export default {
+  isRetryable,
+  request,
+  setAuthToken,
+  setUnauthorizedHandler,
+  registerDevice,
+  unregisterDevice,
+  getMessages,
+  getMessage,
+  createMessage,
+  updateMessage,
+  cancelMessage,
+  sendImmediate,
+  postEvents,
+  login,
+  logout,
+  getStats,
+  getDevices,
+  checkHealth,
+};
@@ -0,0 +1,101 @@
+// auth.js - SEPHealth User Session
+// Signs the user in against the backend and keeps the session token in the
+// device's secure storage (Keychain / Keystore).
+
+import { Platform } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { login, logout, setAuthToken } from './api';
+
+const SESSION_KEY = 'sephealth.session';
+
+// Roles allowed to compose and manage push messages; the backend enforces this too
+const STAFF_ROLES = ['admin', 'staff', 'coordinator'];
+
+// SecureStore has no web implementation, so the browser build uses AsyncStorage (localStorage)
+const storage = Platform.OS === 'web'
+  ? {
+    get: (key) => AsyncStorage.getItem(key),
+    set: (key, value) => AsyncStorage.setItem(key, value),
+    remove: (key) => AsyncStorage.removeItem(key),
+  }
+  : {
+    get: (key) => SecureStore.getItemAsync(key),
+    set: (key, value) => SecureStore.setItemAsync(key, value),
+    remove: (key) => SecureStore.deleteItemAsync(key),
+  };
+
+// Accept { id } or Mongo-style { _id }
+const normalizeUser = (user = {}) => ({
+  id: user.id || user._id || null,
+  name: user.name || user.fullName || user.email || 'SEPHealth user',
+  email: user.email || null,
+  role: user.role || null,
+});
+
+export const isStaff = (session) => STAFF_ROLES.includes(session?.user?.role);
+
+/**
+ * Restore the stored session, if any, and start sending its token.
+ * @returns {Promise<{token: string, user: {id: string, name: string, email: string}}|null>}
+ */
+export const loadSession = async () => {
+  try {
+    const raw = await storage.get(SESSION_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    if (!session?.token) return null;
+
+    setAuthToken(session.token);
+    return session;
+  } catch (error) {
+    console.log('⚠️ Could not read session:', error.message);
+    return null;
+  }
+};
+
+export const signIn = async (email, password) => {
+  const result = await login({ email: email.trim(), password });
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.status === 0
+        ? 'Could not reach the server. Check your connection.'
+        : result.error || 'Invalid email or password',
+    };
+  }
+
+  // The backend may wrap the session in `data` or return it at the top level
+  const payload = result.data?.token ? result.data : result.meta;
+  if (!payload?.token) {
+    return { success: false, error: 'The server did not return a session token' };
+  }
+
+  const session = { token: payload.token, user: normalizeUser(payload.user) };
+  await storage.set(SESSION_KEY, JSON.stringify(session));
+  setAuthToken(session.token);
+
+  console.log('🔐 Signed in as', session.user.email || session.user.id);
+  return { success: true, session };
+};
+
+// Clears the local session even when the backend can't be told about it
+export const signOut = async (session) => {
+  setAuthToken(null);
+
+  if (session?.token) {
+    const result = await logout({ headers: { Authorization: `Bearer ${session.token}` } });
+    if (!result.success) {
+      console.log('⚠️ Backend logout failed (session cleared locally):', result.error);
+    }
+  }
+
+  try {
+    await storage.remove(SESSION_KEY);
+  } catch (error) {
+    console.log('⚠️ Could not clear session:', error.message);
+  }
+  console.log('🔓 Signed out');
+};
+
+export default { loadSession, signIn, signOut, isStaff };
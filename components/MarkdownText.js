@@ -0,0 +1,47 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { parseMarkdownLite } from '../messageContent';
+
+// Message content with markdown-lite formatting; links go through onLinkPress.
+// style applies to the whole block, textStyle to every line.
+export default function MarkdownText({ text, style, textStyle, onLinkPress }) {
+  const blocks = parseMarkdownLite(text);
+  if (blocks.length === 0) return null;
+
+  return (
+    <View style={style}>
+      {blocks.map((block, index) => (
+        <Text key={index} style={[textStyle, styles.block, block.type === 'bullet' && styles.bullet]}>
+          {block.type === 'bullet' && '• '}
+          {block.spans.map((span, spanIndex) => (
+            <Text
+              key={spanIndex}
+              style={[span.bold && styles.bold, span.italic && styles.italic, span.url && styles.link]}
+              onPress={span.url ? () => onLinkPress(span.url) : undefined}
+            >
+              {span.text}
+            </Text>
+          ))}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  block: {
+    marginBottom: 2,
+  },
+  bullet: {
+    paddingLeft: 8,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  italic: {
+    fontStyle: 'italic',
+  },
+  link: {
+    color: '#007AFF',
+    textDecorationLine: 'underline',
+  },
+});
@@ -0,0 +1,143 @@
+import { memo } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Image } from 'react-native';
+import { formatDate } from '../format';
+import MarkdownText from './MarkdownText';
+
+// Memoized so the virtualized list only re-renders cards whose message or read state changed
+function MessageCard({ message, unread, onOpen, onTest, onOpenLink }) {
+  const rich = message.rich || {};
+
+  return (
+    <TouchableOpacity
+      style={styles.messageCard}
+      onPress={() => onOpen(message._id)}
+      activeOpacity={0.7}
+    >
+      <View style={styles.messageHeader}>
+        {unread && <View style={styles.unreadDot} />}
+        <Text style={styles.messageTitle}>{message.title}</Text>
+        <Text style={styles.messageStatus}>{message.status}</Text>
+      </View>
+      {rich.imageUrl && <Image source={{ uri: rich.imageUrl }} style={styles.messageImage} resizeMode="cover" />}
+      <MarkdownText
+        text={message.content || message.body}
+        style={styles.messageContent}
+        textStyle={styles.messageContentText}
+        onLinkPress={onOpenLink}
+      />
+      <Text style={styles.messageDate}>
+        {formatDate(message.scheduledDateTime || message.createdAt)}
+      </Text>
+      <Text style={styles.messageCategory}>
+        {[message.category, message.priority || 'normal', message.healthCategory].filter(Boolean).join(' • ')}
+      </Text>
+      <View style={styles.actionRow}>
+        <TouchableOpacity
+          style={styles.testButton}
+          onPress={() => onTest(message)}
+        >
+          <Text style={styles.testButtonText}>Test</Text>
+        </TouchableOpacity>
+        {rich.cta && (
+          <TouchableOpacity style={styles.ctaButton} onPress={() => onOpenLink(rich.cta.url)}>
+            <Text style={styles.ctaButtonText}>{rich.cta.label} ›</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+export default memo(MessageCard);
+
+const styles = StyleSheet.create({
+  messageCard: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 12,
+    borderLeftWidth: 3,
+    borderLeftColor: '#007AFF',
+  },
+  messageHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#007AFF',
+    marginRight: 8,
+  },
+  messageTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  messageStatus: {
+    fontSize: 11,
+    color: '#666',
+    backgroundColor: '#e0e0e0',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 4,
+  },
+  messageImage: {
+    width: '100%',
+    height: 140,
+    borderRadius: 6,
+    backgroundColor: '#e0e0e0',
+    marginBottom: 8,
+  },
+  messageContent: {
+    marginBottom: 8,
+  },
+  messageContentText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  messageDate: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 5,
+  },
+  messageCategory: {
+    fontSize: 11,
+    color: '#777',
+    fontStyle: 'italic',
+    marginBottom: 10,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  testButton: {
+    backgroundColor: '#28a745',
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+    borderRadius: 6,
+    alignSelf: 'flex-start',
+  },
+  ctaButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 10,
+  },
+  ctaButtonText: {
+    color: '#007AFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  testButtonText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
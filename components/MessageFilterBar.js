@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, TextInput, ScrollView } from 'react-native';
+import { FILTER_FIELDS, SORT_OPTIONS, DEFAULT_FILTERS, activeFilterCount } from '../messageFilters';
+
+function Chip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity style={[styles.chip, selected && styles.chipSelected]} onPress={onPress}>
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+export default function MessageFilterBar({ filters, options, onChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const activeCount = activeFilterCount(filters);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        style={styles.search}
+        value={filters.query}
+        onChangeText={(query) => update({ query })}
+        placeholder="🔍 Search title or content"
+        autoCapitalize="none"
+        autoCorrect={false}
+        clearButtonMode="while-editing"
+      />
+
+      <View style={styles.row}>
+        <Text style={styles.rowLabel}>Sort</Text>
+        {SORT_OPTIONS.map(option => (
+          <Chip
+            key={option.key}
+            label={option.label}
+            selected={filters.sortBy === option.key}
+            onPress={() => update({ sortBy: option.key })}
+          />
+        ))}
+        <TouchableOpacity onPress={() => setExpanded(!expanded)} style={styles.toggle}>
+          <Text style={styles.toggleText}>
+            Filters{activeCount > 0 ? ` (${activeCount})` : ''} {expanded ? '▴' : '▾'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {expanded && (
+        <View>
+          {FILTER_FIELDS.map(({ key, label }) => (
+            <View key={key} style={styles.row}>
+              <Text style={styles.rowLabel}>{label}</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <Chip label="All" selected={filters[key] === null} onPress={() => update({ [key]: null })} />
+                {options[key].map(value => (
+                  <Chip
+                    key={value}
+                    label={value}
+                    selected={filters[key] === value}
+                    onPress={() => update({ [key]: filters[key] === value ? null : value })}
+                  />
+                ))}
+              </ScrollView>
+            </View>
+          ))}
+          {activeCount > 0 && (
+            <TouchableOpacity
+              onPress={() => update(Object.fromEntries(FILTER_FIELDS.map(({ key }) => [key, DEFAULT_FILTERS[key]])))}
+            >
+              <Text style={styles.clearText}>Clear filters</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 20,
+    marginBottom: 8,
+  },
+  search: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  rowLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#555',
+    width: 70,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#e0e0e0',
+    marginRight: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#555',
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  toggle: {
+    marginLeft: 'auto',
+  },
+  toggleText: {
+    fontSize: 13,
+    color: '#007AFF',
+  },
+  clearText: {
+    fontSize: 13,
+    color: '#007AFF',
+    marginTop: 2,
+  },
+});
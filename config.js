@@ -1,6 +1,9 @@
 // config.js - Environment Configuration Helper
 // This file helps manage different environment configurations
 
+import Constants from 'expo-constants';
+import { checkHealth } from './api';
+
 const isDev = process.env.EXPO_PUBLIC_NODE_ENV === 'development';
 const isDebug = process.env.EXPO_PUBLIC_DEBUG === 'true';
 
@@ -8,26 +11,49 @@ const isDebug = process.env.EXPO_PUBLIC_DEBUG === 'true';
 const DEFAULT_PROD_URL = 'https://sephealthbackend.onrender.com';
 const DEFAULT_DEV_URL = 'http://192.168.5.221:3001';
 
-// API Configuration
-export const API_CONFIG = {
-  // Base URL
-  baseUrl: process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL,
+// Older builds only set the push messages endpoint, so derive the base URL from it when needed
+const BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL ||
+  process.env.EXPO_PUBLIC_PUSH_API_ENDPOINT?.replace('/api/push-messages', '') ||
+  DEFAULT_PROD_URL;
 
-  // Individual endpoints (with fallbacks)
-  endpoints: {
-    pushMessages: process.env.EXPO_PUBLIC_PUSH_API_ENDPOINT ||
-      `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/push-messages`,
+// Backends offered by the environment switcher (dev/debug builds only)
+export const ENVIRONMENT_PRESETS = {
+  development: DEFAULT_DEV_URL,
+  staging: process.env.EXPO_PUBLIC_STAGING_API_BASE_URL || null, // hidden unless configured
+  production: DEFAULT_PROD_URL,
+};
 
-    deviceRegister: process.env.EXPO_PUBLIC_DEVICE_REGISTER_ENDPOINT ||
-      `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/device/register`,
+// The per-endpoint env overrides only apply to the backend the build was made for
+const endpointsFor = (baseUrl) => {
+  const useEnv = baseUrl === BASE_URL;
+  return {
+    pushMessages: (useEnv && process.env.EXPO_PUBLIC_PUSH_API_ENDPOINT) ||
+      `${baseUrl}/api/push-messages`,
 
-    immediateNotification: process.env.EXPO_PUBLIC_IMMEDIATE_NOTIFICATION_ENDPOINT ||
-      `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/push-messages/immediate`,
+    deviceRegister: (useEnv && process.env.EXPO_PUBLIC_DEVICE_REGISTER_ENDPOINT) ||
+      `${baseUrl}/api/device/register`,
 
-    health: `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/health`,
-    devices: `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/devices`,
-    stats: `${process.env.EXPO_PUBLIC_API_BASE_URL || DEFAULT_PROD_URL}/api/push-messages/stats`
-  }
+    deviceUnregister: `${baseUrl}/api/device/unregister`,
+
+    immediateNotification: (useEnv && process.env.EXPO_PUBLIC_IMMEDIATE_NOTIFICATION_ENDPOINT) ||
+      `${baseUrl}/api/push-messages/immediate`,
+
+    health: `${baseUrl}/api/health`,
+    devices: `${baseUrl}/api/devices`,
+    stats: `${baseUrl}/api/push-messages/stats`,
+    events: `${baseUrl}/api/push-messages/events`,
+    login: `${baseUrl}/api/auth/login`,
+    logout: `${baseUrl}/api/auth/logout`
+  };
+};
+
+// API Configuration. Mutable at runtime through setApiBaseUrl, so read it at call time.
+export const API_CONFIG = {
+  // Base URL
+  baseUrl: BASE_URL,
+
+  // Individual endpoints (with fallbacks)
+  endpoints: endpointsFor(BASE_URL)
 };
 
 // App Configuration
@@ -35,11 +61,46 @@ export const APP_CONFIG = {
   isDevelopment: isDev,
   isDebug: isDebug,
   environment: process.env.EXPO_PUBLIC_NODE_ENV || 'production',
-  projectId: process.env.EXPO_PUBLIC_PROJECT_ID || '191ff6fe-8518-4b0f-92dc-b5ab3e8b0e92',
+  // Whether the hidden backend switcher is available (never in release builds)
+  canSwitchEnvironment: isDev || isDebug || (typeof __DEV__ !== 'undefined' && __DEV__),
+  // EAS project from app.json unless overridden; deviceMetadata.validateProjectId checks they agree
+  projectId: process.env.EXPO_PUBLIC_PROJECT_ID ||
+    Constants.expoConfig?.extra?.eas?.projectId ||
+    Constants.easConfig?.projectId ||
+    null,
 
   // Timeout settings
   requestTimeout: isDev ? 10000 : 15000, // 10s for dev, 15s for prod
 
+  // Message polling (ms). Paused while the socket is connected or the app is backgrounded.
+  polling: {
+    interval: 60000, // socket not connected yet
+    disconnectedInterval: 15000 // socket dropped: poll faster until it's back
+  },
+
+  // Message list pages requested from /api/push-messages
+  pagination: {
+    pageSize: 50
+  },
+
+  // Backoff for re-registering the device after a failed registration (ms)
+  registrationRetry: {
+    initialDelay: 5000,
+    maxDelay: 10 * 60 * 1000
+  },
+
+  // Web Push (browser build). The server signs pushes with the matching private key.
+  webPush: {
+    vapidPublicKey: process.env.EXPO_PUBLIC_VAPID_PUBLIC_KEY || null
+  },
+
+  // Retry policy for failed requests (network errors, timeouts and 5xx only)
+  retry: {
+    attempts: 2, // retries after the first attempt
+    delay: 1000, // ms before the first retry
+    backoffFactor: 2
+  },
+
   // Logging
   enableConsoleLog: isDev || isDebug,
 
@@ -47,16 +108,33 @@ export const APP_CONFIG = {
   showDebugInfo: isDev || isDebug
 };
 
+// Point every endpoint at another backend (see environment.js)
+export const setApiBaseUrl = (baseUrl, environment) => {
+  API_CONFIG.baseUrl = baseUrl;
+  API_CONFIG.endpoints = endpointsFor(baseUrl);
+  APP_CONFIG.environment = environment;
+};
+
+// Configuration summary shared by the startup log and the diagnostics report
+export const describeConfiguration = () => ({
+  environment: APP_CONFIG.environment,
+  debug: APP_CONFIG.isDebug,
+  backendUrl: API_CONFIG.baseUrl,
+  projectId: APP_CONFIG.projectId,
+  endpoints: { ...API_CONFIG.endpoints },
+});
+
 // Helper function to log configuration on app start
 export const logConfiguration = () => {
   if (APP_CONFIG.enableConsoleLog) {
+    const configuration = describeConfiguration();
     console.log('🔧 App Configuration:');
-    console.log(`   Environment: ${APP_CONFIG.environment}`);
-    console.log(`   Debug Mode: ${APP_CONFIG.isDebug}`);
-    console.log(`   Backend URL: ${API_CONFIG.baseUrl}`);
-    console.log(`   Project ID: ${APP_CONFIG.projectId}`);
+    console.log(`   Environment: ${configuration.environment}`);
+    console.log(`   Debug Mode: ${configuration.debug}`);
+    console.log(`   Backend URL: ${configuration.backendUrl}`);
+    console.log(`   Project ID: ${configuration.projectId}`);
     console.log('\n📡 API Endpoints:');
-    Object.entries(API_CONFIG.endpoints).forEach(([key, url]) => {
+    Object.entries(configuration.endpoints).forEach(([key, url]) => {
       console.log(`   ${key}: ${url}`);
     });
   }
@@ -68,28 +146,20 @@ export const testBackendConnection = async () => {
     console.log('🔍 Testing backend connection...');
 
     // Longer timeout for potential cold starts
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Request timeout')), 30000)
-    );
-
-    const fetchPromise = fetch(API_CONFIG.endpoints.health, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-
-    const response = await Promise.race([fetchPromise, timeoutPromise]);
+    const startedAt = Date.now();
+    const result = await checkHealth({ timeout: 30000, retries: 0 });
+    const latency = Date.now() - startedAt;
 
-    if (response.ok) {
-      const data = await response.json();
-      console.log('✅ Backend connection successful:', data.status);
-      return { success: true, data };
+    if (result.success) {
+      console.log(`✅ Backend connection successful (${latency}ms):`, result.data?.status);
+      return { success: true, data: result.data, latency };
     } else {
-      console.log('❌ Backend connection failed:', response.status);
-      return { success: false, error: `HTTP ${response.status}` };
+      console.log('❌ Backend connection failed:', result.error);
+      return { success: false, error: result.error, status: result.status, latency };
     }
   } catch (error) {
     console.log('❌ Backend connection error:', error.message);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, latency: null };
   }
 };
 
@@ -0,0 +1,94 @@
+// deliveryStats.js - Delivery Statistics
+// Shapes the /stats and /devices responses for the stats screen. Whatever
+// the backend doesn't report is worked out from the messages on the device.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const countBy = (items, keyOf) => items.reduce((counts, item) => {
+  const key = keyOf(item) || 'Unknown';
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+// { Scheduled: 3, Sent: 10 } from { byStatus }, { statusCounts }, [{ _id/status, count }] or flat counts
+const normalizeStatusCounts = (stats = {}) => {
+  const source = stats.byStatus || stats.statusCounts || stats.statuses;
+  if (Array.isArray(source)) {
+    return Object.fromEntries(source.map(entry => [entry.status || entry._id, entry.count]));
+  }
+  if (source && typeof source === 'object') return { ...source };
+
+  const flat = {};
+  ['scheduled', 'sent', 'failed', 'pending', 'cancelled'].forEach((key) => {
+    if (typeof stats[key] === 'number') flat[key.charAt(0).toUpperCase() + key.slice(1)] = stats[key];
+  });
+  return Object.keys(flat).length > 0 ? flat : null;
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+// scheduledDateTime -> deliveredAt for delivered messages, in ms
+export const deliveryLatency = (messages) => {
+  const latencies = messages
+    .filter(msg => msg.deliveredAt && msg.scheduledDateTime)
+    .map(msg => new Date(msg.deliveredAt) - new Date(msg.scheduledDateTime))
+    .filter(ms => !isNaN(ms) && ms >= 0)
+    .sort((a, b) => a - b);
+
+  if (latencies.length === 0) return null;
+  return {
+    count: latencies.length,
+    average: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    median: percentile(latencies, 0.5),
+    p95: percentile(latencies, 0.95),
+  };
+};
+
+// Delivered messages per local day, oldest first, zero-filled
+export const sentPerDay = (messages, days = 7, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const buckets = Array.from({ length: days }, (_, i) => ({ day: new Date(today - (days - 1 - i) * DAY_MS), count: 0 }));
+
+  messages.forEach((msg) => {
+    if (!msg.deliveredAt) return;
+    const delivered = new Date(msg.deliveredAt);
+    const day = new Date(delivered.getFullYear(), delivered.getMonth(), delivered.getDate()).getTime();
+    const index = Math.round((day - buckets[0].day.getTime()) / DAY_MS);
+    if (index >= 0 && index < days) buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+export const summarizeDevices = (devices = []) => ({
+  total: devices.length,
+  byPlatform: countBy(devices, device => device.platform),
+  byOs: countBy(devices, (device) => {
+    const info = device.deviceInfo || {};
+    const osName = info.osName || device.osName || device.platform;
+    const osVersion = info.osVersion || device.osVersion;
+    return osName && osVersion ? `${osName} ${osVersion}` : osName;
+  }),
+});
+
+/**
+ * Build the dashboard from the stats response and the loaded messages.
+ * Figures the server doesn't report are worked out from the loaded messages
+ * only (the pages fetched so far), which the `*Source` fields flag as 'device'.
+ * @returns {{statusCounts: Object, statusSource: 'server'|'device', latency: Object|null, latencySource: 'server'|'device', sentPerDay: Array, sentPerDaySource: 'device'}}
+ */
+export const buildDashboard = (stats, messages, now = new Date()) => {
+  const serverCounts = normalizeStatusCounts(stats || {});
+  const serverLatency = stats?.latency || stats?.deliveryLatency;
+  const hasServerLatency = Boolean(serverLatency && typeof serverLatency.average === 'number');
+
+  return {
+    statusCounts: serverCounts || countBy(messages, msg => msg.status),
+    statusSource: serverCounts ? 'server' : 'device',
+    latency: hasServerLatency ? serverLatency : deliveryLatency(messages),
+    latencySource: hasServerLatency ? 'server' : 'device',
+    sentPerDay: sentPerDay(messages, 7, now),
+    sentPerDaySource: 'device', // The stats endpoint has no daily breakdown
+  };
+};
+
+export default { deliveryLatency, sentPerDay, summarizeDevices, buildDashboard };
@@ -0,0 +1,73 @@
+// deviceMetadata.js - App and Device Metadata
+// Everything the backend is told about this install, read from the build
+// (expo-constants) and the hardware (expo-device) instead of hard-coded values.
+
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import { APP_CONFIG } from './config';
+
+const intlOptions = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions();
+  } catch (error) {
+    return {};
+  }
+};
+
+const buildNumber = () => {
+  const config = Constants.expoConfig || {};
+  if (Platform.OS === 'ios') return config.ios?.buildNumber || null;
+  if (Platform.OS === 'android') return config.android?.versionCode != null ? String(config.android.versionCode) : null;
+  return null;
+};
+
+// runtimeVersion may be a policy object in app.json; only a resolved string is useful
+const runtimeVersion = () => {
+  const configured = Constants.expoConfig?.runtimeVersion;
+  if (typeof configured === 'string') return configured;
+  return Constants.expoRuntimeVersion || null;
+};
+
+export const getAppMetadata = () => {
+  const { locale, timeZone } = intlOptions();
+  return {
+    appVersion: Constants.expoConfig?.version || 'unknown',
+    buildNumber: buildNumber(),
+    runtimeVersion: runtimeVersion(),
+    locale: locale || null,
+    timezone: timeZone || null,
+  };
+};
+
+export const getDeviceInfo = () => ({
+  brand: Device.brand,
+  modelName: Device.modelName,
+  osName: Device.osName,
+  osVersion: Device.osVersion,
+  deviceName: Device.deviceName,
+  isDevice: Device.isDevice,
+});
+
+// Every place an EAS projectId can come from. A push token issued for one
+// project can't receive pushes sent through another, so they must agree.
+export const validateProjectId = () => {
+  const sources = {
+    'EXPO_PUBLIC_PROJECT_ID': process.env.EXPO_PUBLIC_PROJECT_ID,
+    'app.json extra.eas.projectId': Constants.expoConfig?.extra?.eas?.projectId,
+    'EAS build config': Constants.easConfig?.projectId,
+  };
+  const declared = Object.entries(sources).filter(([, value]) => Boolean(value));
+  const distinct = [...new Set(declared.map(([, value]) => value))];
+
+  if (distinct.length === 0) {
+    return { valid: false, projectId: null, error: 'No EAS projectId is configured (set extra.eas.projectId in app.json).' };
+  }
+  if (distinct.length > 1) {
+    const details = declared.map(([source, value]) => `${source}: ${value}`).join(', ');
+    return { valid: false, projectId: null, error: `Conflicting EAS projectIds in use (${details}).` };
+  }
+  return { valid: true, projectId: APP_CONFIG.projectId, error: null };
+};
+
+export default { getAppMetadata, getDeviceInfo, validateProjectId };
@@ -0,0 +1,78 @@
+// diagnostics.js - Support Diagnostics
+// Collects what support needs to debug delivery problems into one plain-text
+// report. Never includes the session token.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { formatDate, formatDuration } from './format';
+
+// 'granted' | 'denied' | 'undetermined' | 'unsupported'
+export const getPermissionStatus = async () => {
+  if (Platform.OS === 'web') {
+    if (typeof window === 'undefined' || !('Notification' in window)) return 'unsupported';
+    return window.Notification.permission === 'default' ? 'undetermined' : window.Notification.permission;
+  }
+
+  try {
+    const { status } = await Notifications.getPermissionsAsync();
+    return status;
+  } catch (error) {
+    console.log('⚠️ Could not read notification permission:', error.message);
+    return 'unknown';
+  }
+};
+
+const line = (label, value) => `${label}: ${value === null || value === undefined || value === '' ? 'N/A' : value}`;
+
+/**
+ * @param {Object} report
+ * @param {Object} report.snapshot - app state from App's getDiagnostics()
+ * @param {Object|null} report.health - testBackendConnection() result
+ * @param {string} report.permission - getPermissionStatus() result
+ * @param {Object} report.configuration - describeConfiguration() result
+ * @returns {string}
+ */
+export const buildDiagnosticsReport = ({ snapshot, health, permission, configuration }) => {
+  const { app = {}, socket = {}, polling = {}, lastError, rejectedPayloads = [] } = snapshot;
+
+  return [
+    'SEPHealth Push Diagnostics',
+    line('Generated', new Date().toISOString()),
+    '',
+    '[App]',
+    line('Platform', `${Platform.OS} ${Platform.Version ?? ''}`.trim()),
+    line('App version', app.buildNumber ? `${app.appVersion} (${app.buildNumber})` : app.appVersion),
+    line('Runtime version', app.runtimeVersion),
+    line('Locale / timezone', `${app.locale || 'N/A'} / ${app.timezone || 'N/A'}`),
+    line('Environment', configuration.environment),
+    line('Project ID', configuration.projectId),
+    '',
+    '[Backend]',
+    line('Server', configuration.backendUrl),
+    line('Health', health ? (health.success ? `OK (${health.data?.status || 'healthy'})` : `FAILED (${health.error})`) : 'not checked'),
+    line('Health latency', health?.latency != null ? formatDuration(health.latency) : null),
+    ...Object.entries(configuration.endpoints).map(([key, url]) => line(`  ${key}`, url)),
+    '',
+    '[Device]',
+    line('Notification permission', permission),
+    line('Registered', snapshot.registered ? 'yes' : 'no'),
+    line('Device ID', snapshot.deviceId),
+    line('Push token', snapshot.pushToken),
+    line('User', snapshot.userId),
+    '',
+    '[Real-time]',
+    line('Socket state', socket.state),
+    line('Transport', socket.transport),
+    line('Last poll', polling.lastPollAt ? formatDate(polling.lastPollAt) : null),
+    line('Poll interval', polling.interval === undefined ? null : polling.interval ? formatDuration(polling.interval) : 'suspended'),
+    line('Last synced', snapshot.lastSyncedAt ? formatDate(snapshot.lastSyncedAt) : null),
+    line('Last error', lastError ? `${lastError.source}: ${lastError.message} (${formatDate(lastError.at)})` : null),
+    '',
+    '[Rejected payloads]',
+    ...(rejectedPayloads.length > 0
+      ? rejectedPayloads.map(entry => `${formatDate(entry.at)} ${entry.source}${entry.id ? ` ${entry.id}` : ''}: ${entry.reason}${entry.count > 1 ? ` (x${entry.count})` : ''}`)
+      : ['None']),
+  ].join('\n');
+};
+
+export default { getPermissionStatus, buildDiagnosticsReport };
@@ -0,0 +1,87 @@
+// environment.js - Runtime Backend Switcher
+// Lets dev/debug builds point the app at another backend (a preset or a
+// custom URL) without rebuilding. The choice is persisted and ignored by
+// release builds.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_CONFIG, APP_CONFIG, ENVIRONMENT_PRESETS, setApiBaseUrl } from './config';
+
+const ENVIRONMENT_KEY = '@sephealth/environment';
+
+// What the build was configured with, before any override
+const BUILD_ENVIRONMENT = { name: APP_CONFIG.environment, baseUrl: API_CONFIG.baseUrl };
+
+// Accepts "host:port" or a full URL; drops trailing slashes and a pasted "/api/..." path
+export const normalizeBaseUrl = (input) => {
+  let url = String(input || '').trim();
+  if (!url) return null;
+  if (!/^https?:\/\//i.test(url)) url = `http://${url}`;
+  url = url.replace(/\/api(\/.*)?$/, '').replace(/\/+$/, '');
+  return /^https?:\/\/[^\s/]+(\/[^\s]*)?$/i.test(url) ? url : null;
+};
+
+// Presets with a URL, for the switcher screen
+export const environmentPresets = () => Object.entries(ENVIRONMENT_PRESETS)
+  .filter(([, baseUrl]) => Boolean(baseUrl))
+  .map(([name, baseUrl]) => ({ name, baseUrl }));
+
+export const getCurrentEnvironment = () => ({ name: APP_CONFIG.environment, baseUrl: API_CONFIG.baseUrl });
+
+/**
+ * Apply the persisted override, if any. Call before anything talks to the backend.
+ * @returns {Promise<{name: string, baseUrl: string}>} the environment in use
+ */
+export const loadEnvironment = async () => {
+  if (!APP_CONFIG.canSwitchEnvironment) return getCurrentEnvironment();
+
+  try {
+    const raw = await AsyncStorage.getItem(ENVIRONMENT_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (stored?.baseUrl) {
+      setApiBaseUrl(stored.baseUrl, stored.name);
+      console.log(`🔀 Using ${stored.name} backend override:`, stored.baseUrl);
+    }
+  } catch (error) {
+    console.log('⚠️ Could not read environment override:', error.message);
+  }
+  return getCurrentEnvironment();
+};
+
+/**
+ * Switch to a preset ({ name } or { name, baseUrl }) or a custom URL ({ name: 'custom', baseUrl }).
+ * @returns {Promise<{success: boolean, environment?: Object, error?: string}>}
+ */
+export const switchEnvironment = async ({ name, baseUrl }) => {
+  if (!APP_CONFIG.canSwitchEnvironment) {
+    return { success: false, error: 'Switching backends is only available in development builds' };
+  }
+
+  const url = normalizeBaseUrl(baseUrl || ENVIRONMENT_PRESETS[name]);
+  if (!url) {
+    return { success: false, error: 'Enter a valid http(s) URL, e.g. http://192.168.1.10:3001' };
+  }
+
+  setApiBaseUrl(url, name);
+  const isBuildDefault = url === BUILD_ENVIRONMENT.baseUrl;
+  try {
+    if (isBuildDefault) {
+      await AsyncStorage.removeItem(ENVIRONMENT_KEY);
+    } else {
+      await AsyncStorage.setItem(ENVIRONMENT_KEY, JSON.stringify({ name, baseUrl: url }));
+    }
+  } catch (error) {
+    console.log('⚠️ Could not save environment override:', error.message);
+  }
+  return { success: true, environment: getCurrentEnvironment() };
+};
+
+export const resetEnvironment = () => switchEnvironment(BUILD_ENVIRONMENT);
+
+export default {
+  normalizeBaseUrl,
+  environmentPresets,
+  getCurrentEnvironment,
+  loadEnvironment,
+  switchEnvironment,
+  resetEnvironment,
+};
@@ -0,0 +1,98 @@
+// eventQueue.js - Offline Engagement Event Queue
+// Open/acknowledge events are stored on device first and posted to the
+// backend in batches whenever it can be reached, so nothing is lost offline.
+// Each event is kept for the backend it was recorded against; after a switch
+// to another environment it waits until that backend is in use again.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { postEvents, isRetryable } from './api';
+import { API_CONFIG } from './config';
+
+const QUEUE_KEY = '@sephealth/event-queue';
+const BATCH_SIZE = 50;
+const MAX_QUEUED_EVENTS = 500; // oldest events are dropped beyond this
+
+let queue = null; // loaded lazily from storage
+let flushing = null;
+
+const loadQueue = async () => {
+  if (queue) return queue;
+  try {
+    const raw = await AsyncStorage.getItem(QUEUE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    queue = Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.log('⚠️ Could not read event queue:', error.message);
+    queue = [];
+  }
+  return queue;
+};
+
+const persistQueue = async () => {
+  try {
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.log('⚠️ Could not write event queue:', error.message);
+  }
+};
+
+/**
+ * Queue an engagement event and try to send it right away.
+ * @param {Object} event - { type: 'opened'|'acknowledged'|..., messageId, deviceId, pushToken }
+ */
+export const enqueueEvent = async (event) => {
+  await loadQueue();
+  queue.push({
+    id: `${event.messageId}-${event.type}-${Date.now()}`,
+    at: new Date().toISOString(),
+    serverUrl: API_CONFIG.baseUrl,
+    ...event,
+  });
+  if (queue.length > MAX_QUEUED_EVENTS) {
+    queue = queue.slice(queue.length - MAX_QUEUED_EVENTS);
+  }
+  await persistQueue();
+  flushEvents();
+};
+
+// Events for the backend in use now. Checked before every batch since the
+// backend can be switched mid-flush; events queued before they were tagged
+// go to whichever backend is current.
+const nextBatch = () => queue
+  .filter(event => !event.serverUrl || event.serverUrl === API_CONFIG.baseUrl)
+  .slice(0, BATCH_SIZE);
+
+// Send queued events in batches; stops at the first failure that may clear up and leaves the rest queued
+export const flushEvents = () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    await loadQueue();
+    let batch = nextBatch();
+    while (batch.length > 0) {
+      const result = await postEvents(batch.map(({ serverUrl: _serverUrl, ...event }) => event), { retries: 0 });
+      // Offline, server errors and expired sessions clear up; keep everything for the next flush
+      if (!result.success && (isRetryable(result.status) || result.status === 401)) {
+        console.log(`📴 ${queue.length} engagement events queued for later:`, result.error);
+        return;
+      }
+
+      // Any other 4xx would be rejected again every time and hold up the events behind it
+      const done = new Set(batch.map(event => event.id));
+      queue = queue.filter(event => !done.has(event.id));
+      await persistQueue();
+      if (result.success) {
+        console.log(`📤 Sent ${batch.length} engagement events`);
+      } else {
+        console.log(`🗑️ Dropped ${batch.length} engagement events rejected by the backend:`, result.error);
+      }
+      batch = nextBatch();
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+};
+
+export default { enqueueEvent, flushEvents };
@@ -0,0 +1,27 @@
+// format.js - Display Formatting Helpers
+
+export const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return 'N/A';
+
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+};
+
+// 1500 -> "1.5s", 95000 -> "1m 35s"
+export const formatDuration = (ms) => {
+  if (typeof ms !== 'number' || isNaN(ms)) return 'N/A';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m ${Math.round((ms % 60000) / 1000)}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+export default { formatDate, formatDuration };
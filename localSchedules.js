@@ -0,0 +1,212 @@
+// localSchedules.js - On-Device Schedules for Upcoming Messages
+// Every upcoming 'Scheduled' message gets a local notification at its
+// scheduledDateTime, so it still goes off on time when neither the backend
+// push nor the poll reaches the phone (Expo Go, app killed). The schedules are
+// reconciled against the message list whenever it changes.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { File, Paths } from 'expo-file-system';
+import { channelForMessage } from './notificationChannels';
+import { categoryForMessage } from './notificationActions';
+import { shouldNotify } from './preferences';
+import { stripMarkdown } from './messageContent';
+
+const IDENTIFIER_PREFIX = 'scheduled-';
+
+// iOS keeps at most 64 pending local notifications per app; leave room for the rest
+export const LOCAL_SCHEDULE_LIMIT = 50;
+
+// Closer than this the remote push or the next poll is just as quick
+const MIN_LEAD_TIME_MS = 5000;
+
+export const scheduleIdentifier = (messageId) => `${IDENTIFIER_PREFIX}${messageId}`;
+
+// iOS only attaches local files, so the image is downloaded to the cache first.
+// Android local notifications can't show images; remote pushes carry their own.
+const imageAttachments = async (message) => {
+  const imageUrl = message.rich?.imageUrl;
+  if (Platform.OS !== 'ios' || !imageUrl) return undefined;
+
+  try {
+    const extension = /\.(png|jpe?g|gif|webp)(?=[?#]|$)/i.exec(imageUrl)?.[0] || '.jpg';
+    const file = await File.downloadFileAsync(
+      imageUrl,
+      new File(Paths.cache, `notification-image-${message._id}${extension}`),
+      { idempotent: true }
+    );
+    return [{ identifier: 'image', url: file.uri, type: null }];
+  } catch (error) {
+    console.log('⚠️ Could not download notification image:', error.message);
+    return undefined;
+  }
+};
+
+/**
+ * Notification content for a message, shared by in-app alerts and local
+ * schedules. The image and the call-to-action link from its `data` payload
+ * (see messageContent.js) go along in `data`, and the image is attached on iOS.
+ */
+export const messageNotificationContent = async (message) => {
+  const attachments = await imageAttachments(message);
+  return {
+    title: message.title,
+    body: stripMarkdown(message.content || message.body),
+    data: {
+      messageId: message._id,
+      category: message.category,
+      priority: message.priority,
+      healthCategory: message.healthCategory,
+      imageUrl: message.rich?.imageUrl || null,
+      ctaUrl: message.rich?.cta?.url || null,
+    },
+    categoryIdentifier: categoryForMessage(message), // Action buttons, see notificationActions.js
+    ...(attachments && { attachments }),
+  };
+};
+
+// Anything the server can edit that changes what (or when) the OS shows
+const scheduleFingerprint = (message, fireAt) => [
+  fireAt,
+  message.title,
+  message.content || message.body,
+  message.rich?.imageUrl,
+  message.rich?.cta?.url,
+  channelForMessage(message),
+  categoryForMessage(message),
+].join('|');
+
+// Upcoming messages that should have a local schedule, soonest first.
+// Quiet hours are checked at the time the message will go off.
+export const upcomingSchedules = (messages, preferences, now = Date.now()) => messages
+  .filter(msg => msg.status === 'Scheduled')
+  .map(msg => ({ message: msg, fireAt: new Date(msg.scheduledDateTime).getTime() }))
+  .filter(({ message, fireAt }) => fireAt > now + MIN_LEAD_TIME_MS && shouldNotify(message, preferences, new Date(fireAt)))
+  .sort((a, b) => a.fireAt - b.fireAt)
+  .slice(0, LOCAL_SCHEDULE_LIMIT);
+
+const reconcile = async (messages, preferences) => {
+  const wanted = new Map(upcomingSchedules(messages, preferences).map(entry => [entry.message._id, entry]));
+  const scheduled = [];
+  const cancelled = [];
+
+  try {
+    const pending = (await Notifications.getAllScheduledNotificationsAsync())
+      .filter(request => request.identifier.startsWith(IDENTIFIER_PREFIX));
+
+    for (const request of pending) {
+      const { messageId, scheduleFingerprint: current } = request.content.data || {};
+      const entry = wanted.get(messageId);
+      if (entry && scheduleFingerprint(entry.message, entry.fireAt) === current) {
+        wanted.delete(messageId);
+        continue;
+      }
+
+      await Notifications.cancelScheduledNotificationAsync(request.identifier);
+      if (!entry) cancelled.push(messageId);
+    }
+
+    for (const { message, fireAt } of wanted.values()) {
+      const content = await messageNotificationContent(message);
+      await Notifications.scheduleNotificationAsync({
+        identifier: scheduleIdentifier(message._id),
+        content: { ...content, data: { ...content.data, scheduleFingerprint: scheduleFingerprint(message, fireAt) } },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: fireAt,
+          channelId: channelForMessage(message),
+        },
+      });
+      scheduled.push({ messageId: message._id, fireAt });
+    }
+  } catch (error) {
+    console.log('⚠️ Could not reconcile local schedules:', error.message);
+  }
+
+  if (scheduled.length > 0 || cancelled.length > 0) {
+    console.log(`⏰ Local schedules: ${scheduled.length} scheduled, ${cancelled.length} cancelled`);
+  }
+  return { scheduled, cancelled };
+};
+
+// Two overlapping runs would read the same pending list and both schedule (or
+// cancel) the same messages, so each run waits for the one before it
+let reconciling = Promise.resolve();
+
+/**
+ * Bring the OS's pending schedules in line with the message list: schedule new
+ * upcoming messages, reschedule edited ones and cancel the rest (sent early,
+ * cancelled, deleted or silenced by preferences). Calls run one at a time.
+ * @returns {Promise<{scheduled: Array<{messageId: string, fireAt: number}>, cancelled: string[]}>}
+ */
+export const reconcileLocalSchedules = (messages, preferences) => {
+  const run = reconciling.then(() => reconcile(messages, preferences));
+  reconciling = run.catch(() => {});
+  return run;
+};
+
+// A scheduled message can reach the tray twice: from its local schedule and
+// from the backend's remote push. Whichever comes second while the app is
+// open is not shown again; see dismissDuplicateNotifications for the rest.
+export const isDuplicateOfLocalSchedule = async (notification) => {
+  const { identifier, trigger, content } = notification.request;
+  const messageId = content.data?.messageId;
+  if (!messageId) return false;
+
+  const localIdentifier = scheduleIdentifier(messageId);
+  const isLocalSchedule = identifier === localIdentifier;
+  if (!isLocalSchedule && trigger?.type !== 'push') return false;
+
+  try {
+    const presented = await Notifications.getPresentedNotificationsAsync();
+    return presented.some(({ request }) =>
+      request.identifier !== identifier &&
+      request.content.data?.messageId === messageId &&
+      (isLocalSchedule || request.identifier === localIdentifier)
+    );
+  } catch (error) {
+    console.log('⚠️ Could not read presented notifications:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Remote pushes that arrive while the app is in the background or not running
+ * are shown by the OS without asking the app. Take those duplicates of a local
+ * schedule out of the tray when the app comes back.
+ * @returns {Promise<number>} how many were dismissed
+ */
+export const dismissDuplicateNotifications = async () => {
+  try {
+    const presented = await Notifications.getPresentedNotificationsAsync();
+    const scheduledIds = new Set(presented
+      .map(({ request }) => request.identifier)
+      .filter(identifier => identifier.startsWith(IDENTIFIER_PREFIX)));
+
+    const duplicates = presented.filter(({ request }) => {
+      const messageId = request.content.data?.messageId;
+      return messageId && request.identifier !== scheduleIdentifier(messageId) && scheduledIds.has(scheduleIdentifier(messageId));
+    });
+
+    for (const { request } of duplicates) {
+      await Notifications.dismissNotificationAsync(request.identifier);
+    }
+    if (duplicates.length > 0) {
+      console.log(`🧹 Dismissed ${duplicates.length} duplicate notification(s) of local schedules`);
+    }
+    return duplicates.length;
+  } catch (error) {
+    console.log('⚠️ Could not dismiss duplicate notifications:', error.message);
+    return 0;
+  }
+};
+
+export default {
+  LOCAL_SCHEDULE_LIMIT,
+  scheduleIdentifier,
+  messageNotificationContent,
+  upcomingSchedules,
+  reconcileLocalSchedules,
+  isDuplicateOfLocalSchedule,
+  dismissDuplicateNotifications,
+};
@@ -0,0 +1,109 @@
+// messageCache.js - Offline Message Cache
+// Keeps the last fetched message list on device so the app has something to
+// show before (or without) a successful sync.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { validateMessages } from './messageSchema';
+
+const MESSAGES_KEY = '@sephealth/messages';
+const LAST_SYNCED_KEY = '@sephealth/messages-last-synced';
+const CURSOR_KEY = '@sephealth/messages-cursor';
+
+// Read the cached list; never throws so a corrupt cache can't block startup
+export const loadCachedMessages = async () => {
+  try {
+    const [[, rawMessages], [, rawSyncedAt], [, rawCursor]] =
+      await AsyncStorage.multiGet([MESSAGES_KEY, LAST_SYNCED_KEY, CURSOR_KEY]);
+    const messages = rawMessages ? JSON.parse(rawMessages) : [];
+    const valid = Array.isArray(messages);
+
+    return {
+      // Cached by an older version of the app, or edited on a rooted device
+      messages: valid ? validateMessages(messages, 'cache') : [],
+      lastSyncedAt: rawSyncedAt || null,
+      // A cursor is only meaningful together with the list it was synced into
+      cursor: valid && rawMessages ? rawCursor || null : null,
+    };
+  } catch (error) {
+    console.log('⚠️ Could not read message cache:', error.message);
+    return { messages: [], lastSyncedAt: null, cursor: null };
+  }
+};
+
+export const saveCachedMessages = async (messages, lastSyncedAt, cursor) => {
+  try {
+    const entries = [[MESSAGES_KEY, JSON.stringify(messages)]];
+    if (lastSyncedAt) entries.push([LAST_SYNCED_KEY, lastSyncedAt]);
+    await AsyncStorage.multiSet(entries);
+    if (cursor) {
+      await AsyncStorage.setItem(CURSOR_KEY, cursor);
+    } else {
+      await AsyncStorage.removeItem(CURSOR_KEY);
+    }
+  } catch (error) {
+    console.log('⚠️ Could not write message cache:', error.message);
+  }
+};
+
+const timestamp = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? 0 : time;
+};
+
+// Merge a full server list (or its newest page, which starts the list over)
+// into the local one. The server decides which messages exist (and their
+// order); for each one we keep whichever copy has the newer updatedAt, so
+// local edits the server hasn't caught up with survive.
+export const reconcileMessages = (local, remote) => {
+  const localById = new Map(local.map(msg => [msg._id, msg]));
+
+  return remote.map(serverMsg => {
+    const localMsg = localById.get(serverMsg._id);
+    if (localMsg && timestamp(localMsg.updatedAt) > timestamp(serverMsg.updatedAt)) {
+      return localMsg;
+    }
+    return serverMsg;
+  });
+};
+
+// Apply an incremental sync: replace changed messages in place, add new ones
+// at the top and drop anything the server tombstoned.
+export const applyMessageDelta = (local, changed, deletedIds = []) => {
+  const deleted = new Set(deletedIds);
+  const changedById = new Map(changed.map(msg => [msg._id, msg]));
+
+  const updated = local
+    .filter(msg => !deleted.has(msg._id))
+    .map(msg => {
+      const serverMsg = changedById.get(msg._id);
+      if (!serverMsg) return msg;
+      changedById.delete(msg._id);
+      return timestamp(msg.updatedAt) > timestamp(serverMsg.updatedAt) ? msg : serverMsg;
+    });
+
+  const added = [...changedById.values()].filter(msg => !deleted.has(msg._id));
+  return [...added, ...updated];
+};
+
+// Where a message sits in the server's list, newest first
+const listTime = (message) => timestamp(message.scheduledDateTime || message.createdAt);
+
+// Merge the newest page from a background poll without a cursor. Local
+// messages missing from it were deleted or cancelled on the server if they
+// fall within the page (or the page is the whole list); older ones are on
+// pages the user scrolled to and are kept.
+export const reconcileNewestPage = (local, page, hasMore) => {
+  const onPage = new Set(page.map(msg => msg._id));
+  const oldest = Math.min(...page.map(listTime));
+  const kept = local.filter(msg => onPage.has(msg._id) || (hasMore && listTime(msg) <= oldest));
+  return applyMessageDelta(kept, page);
+};
+
+// Add an older page below the list. Pages shift while new messages arrive,
+// so anything already on screen is skipped rather than duplicated.
+export const appendMessagePage = (local, page) => {
+  const known = new Set(local.map(msg => msg._id));
+  return [...local, ...page.filter(msg => !known.has(msg._id))];
+};
+
+export default { loadCachedMessages, saveCachedMessages, reconcileMessages, applyMessageDelta, reconcileNewestPage, appendMessagePage };
@@ -0,0 +1,184 @@
+// messageContent.js - Rich Message Content
+// A message can carry an image, an attachment and a call-to-action link in a
+// versioned `data` payload, and markdown-lite formatting in `content`. Every
+// message is normalized on receipt so a malformed one still renders safely.
+//
+// data, version 1 (every field optional):
+// {
+//   "schemaVersion": 1,
+//   "imageUrl": "https://example.com/banner.png",
+//   "attachment": { "url": "https://example.com/leaflet.pdf", "name": "Leaflet.pdf" },
+//   "cta": { "label": "Open appointment", "url": "sephealth://messages/<id>" }
+// }
+
+export const MESSAGE_DATA_VERSION = 1;
+
+// Deep links into the app use this scheme (app.json "scheme")
+export const APP_SCHEME = 'sephealth';
+
+// Long enough for signed CDN links; anything longer is not a link we want to open
+const MAX_URL_LENGTH = 2048;
+const MAX_LABEL_LENGTH = 80;
+
+const EMPTY_RICH_CONTENT = { version: MESSAGE_DATA_VERSION, imageUrl: null, attachment: null, cta: null, errors: [] };
+
+const asText = (value) => {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' && isFinite(value)) return String(value);
+  return '';
+};
+
+// Only web links (and, where allowed, links into the app); never javascript:, data:, file: …
+export const isSafeUrl = (value, { allowAppLinks = false } = {}) => {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return false;
+  if (/^https?:\/\/[^\s]+$/i.test(value)) return true;
+  return allowAppLinks && value.startsWith(`${APP_SCHEME}://`) && !/\s/.test(value);
+};
+
+/**
+ * Validate a message's `data` payload. Anything invalid is dropped and noted
+ * in `errors`; the rest is still used.
+ * @param {*} data - object, or the same as a JSON string
+ * @returns {{version: number, imageUrl: string|null, attachment: Object|null, cta: Object|null, errors: string[]}}
+ */
+export const parseMessageData = (data) => {
+  if (data === undefined || data === null || data === '') return EMPTY_RICH_CONTENT;
+
+  let payload = data;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      return { ...EMPTY_RICH_CONTENT, errors: ['data is not valid JSON'] };
+    }
+  }
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ...EMPTY_RICH_CONTENT, errors: ['data is not an object'] };
+  }
+
+  const errors = [];
+  // Payloads from before versioning are read as version 1
+  const version = payload.schemaVersion === undefined ? MESSAGE_DATA_VERSION : Number(payload.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) {
+    return { ...EMPTY_RICH_CONTENT, errors: [`unknown schemaVersion ${payload.schemaVersion}`] };
+  }
+  // Newer versions only add fields; read the ones we know
+  if (version > MESSAGE_DATA_VERSION) errors.push(`schemaVersion ${version} is newer than this app, extra fields ignored`);
+
+  let imageUrl = null;
+  if (payload.imageUrl !== undefined) {
+    if (isSafeUrl(payload.imageUrl)) imageUrl = payload.imageUrl;
+    else errors.push('imageUrl is not an http(s) URL');
+  }
+
+  let attachment = null;
+  if (payload.attachment !== undefined) {
+    if (isSafeUrl(payload.attachment?.url)) {
+      attachment = { url: payload.attachment.url, name: asText(payload.attachment.name).trim().slice(0, MAX_LABEL_LENGTH) || 'Attachment' };
+    } else {
+      errors.push('attachment.url is not an http(s) URL');
+    }
+  }
+
+  let cta = null;
+  if (payload.cta !== undefined) {
+    const label = asText(payload.cta?.label).trim().slice(0, MAX_LABEL_LENGTH);
+    if (label && isSafeUrl(payload.cta?.url, { allowAppLinks: true })) {
+      cta = { label, url: payload.cta.url };
+    } else {
+      errors.push('cta needs a label and an http(s) or app link');
+    }
+  }
+
+  return { version, imageUrl, attachment, cta, errors };
+};
+
+// Every sync normalizes the same messages again; each bad payload is logged once
+const loggedPayloadErrors = new Set();
+
+/**
+ * Give a message from the backend (or the cache) the shape the UI relies on:
+ * string title and content, plus the parsed `data` as `rich`. `data` itself
+ * is rebuilt from the fields that passed validation, so unknown keys and
+ * rejected values never reach state or the cache.
+ */
+export const normalizeMessage = (message) => {
+  const rich = parseMessageData(message.data);
+  if (rich.errors.length > 0) {
+    const problems = rich.errors.join('; ');
+    const key = `${message._id}|${problems}`;
+    if (!loggedPayloadErrors.has(key)) {
+      loggedPayloadErrors.add(key);
+      console.log(`⚠️ Message ${message._id} data payload:`, problems);
+    }
+  }
+
+  const { errors: _errors, ...valid } = rich;
+  const { data: _data, ...rest } = message;
+  const data = {
+    ...(valid.imageUrl && { imageUrl: valid.imageUrl }),
+    ...(valid.attachment && { attachment: valid.attachment }),
+    ...(valid.cta && { cta: valid.cta }),
+  };
+
+  return {
+    ...rest,
+    title: asText(message.title).trim() || 'Untitled message',
+    content: asText(message.content) || asText(message.body),
+    ...(Object.keys(data).length > 0 && { data: { schemaVersion: MESSAGE_DATA_VERSION, ...data } }),
+    rich: { ...valid, version: MESSAGE_DATA_VERSION },
+  };
+};
+
+const INLINE_PATTERN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+const parseInline = (line) => {
+  const spans = [];
+  let last = 0;
+  for (const match of line.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) spans.push({ text: line.slice(last, match.index) });
+    const [whole, bold, italic, label, url] = match;
+    if (bold) spans.push({ text: bold, bold: true });
+    else if (italic) spans.push({ text: italic, italic: true });
+    else if (isSafeUrl(url, { allowAppLinks: true })) spans.push({ text: label, url });
+    else spans.push({ text: whole });
+    last = match.index + whole.length;
+  }
+  if (last < line.length) spans.push({ text: line.slice(last) });
+  return spans;
+};
+
+/**
+ * Markdown-lite: paragraphs, "- " / "* " bullets, **bold**, *italic* and
+ * [links](https://…). Anything else is shown as written.
+ * @returns {Array<{type: 'paragraph'|'bullet', spans: Array<{text: string, bold?: boolean, italic?: boolean, url?: string}>}>}
+ */
+export const parseMarkdownLite = (text) => asText(text)
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map(line => {
+    const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+    return { type: bullet ? 'bullet' : 'paragraph', spans: parseInline(bullet ? bullet[1] : line) };
+  });
+
+// The same text without markup, for notification bodies
+export const stripMarkdown = (text) => parseMarkdownLite(text)
+  .map(block => `${block.type === 'bullet' ? '• ' : ''}${block.spans.map(span => span.text).join('')}`)
+  .join('\n');
+
+// sephealth://messages/<id> opens a message; everything else leaves the app
+export const resolveDeepLink = (url) => {
+  const match = new RegExp(`^${APP_SCHEME}://messages/([^/?#]+)`).exec(url || '');
+  return match ? { type: 'message', messageId: match[1] } : { type: 'external', url };
+};
+
+export default {
+  MESSAGE_DATA_VERSION,
+  APP_SCHEME,
+  isSafeUrl,
+  parseMessageData,
+  normalizeMessage,
+  parseMarkdownLite,
+  stripMarkdown,
+  resolveDeepLink,
+};
@@ -0,0 +1,121 @@
+// messageDraft.js - Compose Screen Drafts
+// Turns what staff type on the compose screen into a push message for the
+// backend, and checks it before anything is posted.
+
+import { PRIORITY_LEVELS, HEALTH_CATEGORIES, parseTime } from './preferences';
+
+export const MESSAGE_CATEGORIES = ['General', 'Reminder', 'Educational', 'Alert', 'Test'];
+
+export const TARGET_TYPES = [
+  { key: 'all', label: 'All devices' },
+  { key: 'device', label: 'One device' },
+  { key: 'user', label: 'One user' },
+];
+
+const TITLE_MAX_LENGTH = 100;
+const CONTENT_MAX_LENGTH = 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toTimeString = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// "YYYY-MM-DD" + "HH:MM" in the device's timezone, or null when either is malformed
+export const scheduledDate = (sendDate, sendTime) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(sendDate || '').trim());
+  const minutes = parseTime(sendTime);
+  if (!match || minutes === null) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  // Rejects dates that roll over, e.g. 2025-02-30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// A new message defaults to one hour from now
+export const emptyDraft = (now = new Date()) => {
+  const inAnHour = new Date(now.getTime() + 60 * 60 * 1000);
+  return {
+    title: '',
+    content: '',
+    category: 'General',
+    priority: 'normal',
+    healthCategory: HEALTH_CATEGORIES[0],
+    sendDate: toDateString(inAnHour),
+    sendTime: toTimeString(inAnHour),
+    targetType: 'all',
+    deviceId: '',
+    userId: '',
+  };
+};
+
+export const draftFromMessage = (message) => {
+  const scheduled = message.scheduledDateTime ? new Date(message.scheduledDateTime) : null;
+  return {
+    title: message.title || '',
+    content: message.content || message.body || '',
+    category: message.category || 'General',
+    priority: message.priority || 'normal',
+    healthCategory: message.healthCategory || HEALTH_CATEGORIES[0],
+    sendDate: scheduled ? toDateString(scheduled) : message.sendDate || '',
+    sendTime: scheduled ? toTimeString(scheduled) : message.sendTime || '',
+    targetType: message.targetType || (message.deviceId ? 'device' : message.userId ? 'user' : 'all'),
+    deviceId: message.deviceId || '',
+    userId: message.userId || '',
+  };
+};
+
+// Only messages the queue hasn't picked up yet can be changed
+export const isEditable = (message, now = new Date()) =>
+  message?.status === 'Scheduled' && !(new Date(message.scheduledDateTime) <= now);
+
+/**
+ * @returns {{valid: boolean, errors: Object<string, string>}} errors keyed by draft field
+ */
+export const validateDraft = (draft, now = new Date()) => {
+  const errors = {};
+
+  if (!draft.title.trim()) errors.title = 'Enter a title.';
+  else if (draft.title.trim().length > TITLE_MAX_LENGTH) errors.title = `Keep the title under ${TITLE_MAX_LENGTH} characters.`;
+
+  if (!draft.content.trim()) errors.content = 'Enter the message body.';
+  else if (draft.content.trim().length > CONTENT_MAX_LENGTH) errors.content = `Keep the body under ${CONTENT_MAX_LENGTH} characters.`;
+
+  if (!draft.category) errors.category = 'Choose a category.';
+  if (!PRIORITY_LEVELS.includes(draft.priority)) errors.priority = 'Choose a priority.';
+  if (!draft.healthCategory) errors.healthCategory = 'Choose a health category.';
+
+  const date = scheduledDate(draft.sendDate, draft.sendTime);
+  if (!date) errors.schedule = 'Use YYYY-MM-DD for the date and 24-hour HH:MM for the time.';
+  else if (date <= now) errors.schedule = 'The send time must be in the future.';
+
+  if (draft.targetType === 'device' && !draft.deviceId.trim()) errors.target = 'Enter the device ID.';
+  if (draft.targetType === 'user' && !draft.userId.trim()) errors.target = 'Enter the user ID.';
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+// Body for POST/PUT /api/push-messages; call validateDraft first
+export const toMessagePayload = (draft) => ({
+  title: draft.title.trim(),
+  content: draft.content.trim(),
+  category: draft.category,
+  priority: draft.priority,
+  healthCategory: draft.healthCategory,
+  sendDate: draft.sendDate.trim(),
+  sendTime: draft.sendTime.trim(),
+  scheduledDateTime: scheduledDate(draft.sendDate, draft.sendTime).toISOString(),
+  targetType: draft.targetType,
+  deviceId: draft.targetType === 'device' ? draft.deviceId.trim() : null,
+  userId: draft.targetType === 'user' ? draft.userId.trim() : null,
+});
+
+export default {
+  MESSAGE_CATEGORIES,
+  TARGET_TYPES,
+  scheduledDate,
+  emptyDraft,
+  draftFromMessage,
+  isEditable,
+  validateDraft,
+  toMessagePayload,
+};
@@ -0,0 +1,117 @@
+// messageFilters.js - Message List Search, Filters and Sorting
+// Pure helpers behind the list's search bar and filter chips, plus the
+// persisted filter state so the list looks the same after a restart.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PRIORITY_LEVELS, priorityRank } from './preferences';
+
+const FILTERS_KEY = '@sephealth/message-filters';
+
+// Message fields that get a row of filter chips
+export const FILTER_FIELDS = [
+  { key: 'status', label: 'Status' },
+  { key: 'category', label: 'Category' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'healthCategory', label: 'Health category' },
+];
+
+export const SORT_OPTIONS = [
+  { key: 'scheduled', label: 'Scheduled' },
+  { key: 'delivered', label: 'Delivered' },
+  { key: 'priority', label: 'Priority' },
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  status: null, // null means any value
+  category: null,
+  priority: null,
+  healthCategory: null,
+  sortBy: 'scheduled',
+};
+
+export const loadFilters = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(FILTERS_KEY);
+    return { ...DEFAULT_FILTERS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    console.log('⚠️ Could not read message filters:', error.message);
+    return DEFAULT_FILTERS;
+  }
+};
+
+export const saveFilters = async (filters) => {
+  try {
+    await AsyncStorage.setItem(FILTERS_KEY, JSON.stringify(filters));
+  } catch (error) {
+    console.log('⚠️ Could not write message filters:', error.message);
+  }
+};
+
+export const activeFilterCount = (filters) =>
+  FILTER_FIELDS.filter(({ key }) => filters[key] !== null).length;
+
+// Distinct values present in the list, for the chips of each field
+export const filterOptions = (messages) => {
+  const options = {};
+  FILTER_FIELDS.forEach(({ key }) => {
+    options[key] = [...new Set(messages.map(msg => msg[key]).filter(Boolean))].sort();
+  });
+  options.priority = PRIORITY_LEVELS.filter(level => options.priority.includes(level))
+    .concat(options.priority.filter(level => !PRIORITY_LEVELS.includes(level)));
+  return options;
+};
+
+const scheduledTime = (message) => new Date(message.scheduledDateTime || message.createdAt || 0).getTime();
+const deliveredTime = (message) => (message.deliveredAt ? new Date(message.deliveredAt).getTime() : 0);
+
+// Newest first; priority sorts most urgent first, then by schedule
+const comparators = {
+  scheduled: (a, b) => scheduledTime(b) - scheduledTime(a),
+  delivered: (a, b) => deliveredTime(b) - deliveredTime(a) || scheduledTime(b) - scheduledTime(a),
+  priority: (a, b) => priorityRank(b.priority) - priorityRank(a.priority) || scheduledTime(b) - scheduledTime(a),
+};
+
+export const applyFilters = (messages, filters) => {
+  const query = filters.query.trim().toLowerCase();
+  const matches = messages.filter((msg) => {
+    if (FILTER_FIELDS.some(({ key }) => filters[key] !== null && msg[key] !== filters[key])) return false;
+    if (!query) return true;
+    return `${msg.title || ''}\n${msg.content || msg.body || ''}`.toLowerCase().includes(query);
+  });
+  return matches.sort(comparators[filters.sortBy] || comparators.scheduled);
+};
+
+/**
+ * Split an already sorted list into "Today", "Upcoming" and "Past" by
+ * scheduled day. Empty groups are left out.
+ * @returns {Array<{title: string, data: Object[]}>}
+ */
+export const groupByDay = (messages, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+  const groups = { Today: [], Upcoming: [], Past: [] };
+
+  messages.forEach((msg) => {
+    const time = scheduledTime(msg);
+    if (time >= startOfTomorrow) groups.Upcoming.push(msg);
+    else if (time >= startOfToday) groups.Today.push(msg);
+    else groups.Past.push(msg);
+  });
+
+  return Object.entries(groups)
+    .filter(([, data]) => data.length > 0)
+    .map(([title, data]) => ({ title, data }));
+};
+
+export default {
+  FILTER_FIELDS,
+  SORT_OPTIONS,
+  DEFAULT_FILTERS,
+  loadFilters,
+  saveFilters,
+  activeFilterCount,
+  filterOptions,
+  applyFilters,
+  groupByDay,
+};
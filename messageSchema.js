@@ -0,0 +1,166 @@
+// messageSchema.js - Backend Payload Validation
+// Message lists and socket statusUpdate events are checked here before they
+// reach app state: required fields, known statuses, parseable dates, length
+// limits, and only the fields the app uses. Records that can't be used are
+// rejected and kept in a short log for the diagnostics screen.
+
+import { normalizeMessage } from './messageContent';
+import { PRIORITY_LEVELS } from './preferences';
+
+export const MESSAGE_STATUSES = ['Scheduled', 'Queued', 'Processing', 'Sent', 'Delivered', 'Failed', 'Cancelled'];
+
+const MAX_ID_LENGTH = 100;
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 5000;
+
+// Optional text fields and their length limits
+const TEXT_FIELDS = {
+  category: 60,
+  healthCategory: 60,
+  channelId: 60,
+  targetType: 20,
+  deviceId: MAX_ID_LENGTH,
+  userId: MAX_ID_LENGTH,
+  sendDate: 10,
+  sendTime: 5,
+};
+
+const DATE_FIELDS = ['scheduledDateTime', 'deliveredAt', 'createdAt', 'updatedAt'];
+
+const REJECT_LOG_SIZE = 20;
+
+let rejected = []; // newest first
+
+const asId = (value) => {
+  const id = typeof value === 'number' && isFinite(value) ? String(value) : typeof value === 'string' ? value.trim() : '';
+  return id && id.length <= MAX_ID_LENGTH ? id : null;
+};
+
+const asText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '') || null;
+
+// ISO string, or null when missing or unparseable
+const asDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : new Date(time).toISOString();
+};
+
+// Statuses are matched case-insensitively and returned in their usual spelling
+const asStatus = (value) =>
+  MESSAGE_STATUSES.find(status => status.toLowerCase() === String(value ?? '').trim().toLowerCase()) || null;
+
+const isRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Repeats of the same rejection (every poll sees the same bad record) are counted, not re-logged
+const recordRejected = (source, id, reason) => {
+  const existing = rejected.find(entry => entry.source === source && entry.id === id && entry.reason === reason);
+  const at = new Date().toISOString();
+  if (existing) {
+    rejected = [{ ...existing, at, count: existing.count + 1 }, ...rejected.filter(entry => entry !== existing)];
+    return;
+  }
+
+  console.log(`🚫 Rejected ${source} payload${id ? ` ${id}` : ''}:`, reason);
+  rejected = [{ source, id, reason, at, count: 1 }, ...rejected].slice(0, REJECT_LOG_SIZE);
+};
+
+/**
+ * Check and clean one message.
+ * @returns {{message: Object|null, id: string|null, error: string|null}}
+ */
+export const sanitizeMessage = (raw) => {
+  if (!isRecord(raw)) return { message: null, id: null, error: 'not an object' };
+
+  const id = asId(raw._id);
+  if (!id) return { message: null, id: null, error: 'missing or invalid _id' };
+
+  const status = asStatus(raw.status);
+  if (!status) return { message: null, id, error: `unknown status "${String(raw.status).slice(0, 40)}"` };
+
+  const message = { _id: id, status };
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    const text = asText(raw[field], maxLength);
+    if (text) message[field] = text;
+  });
+  DATE_FIELDS.forEach(field => {
+    const date = asDate(raw[field]);
+    if (date) message[field] = date;
+  });
+
+  const priority = String(raw.priority ?? '').trim().toLowerCase();
+  message.priority = PRIORITY_LEVELS.includes(priority) ? priority : 'normal';
+
+  if (Array.isArray(raw.statusHistory)) {
+    message.statusHistory = raw.statusHistory
+      .filter(isRecord)
+      .map(entry => ({ status: asText(entry.status, 40), at: asDate(entry.at || entry.timestamp || entry.changedAt) }))
+      .filter(entry => entry.status);
+  }
+
+  // Title, content (`body` folded in) and the rich `data` payload, rebuilt from its valid fields; see messageContent.js
+  const { body, ...normalized } = normalizeMessage({ ...message, title: raw.title, content: raw.content, body: raw.body, data: raw.data });
+  return {
+    message: {
+      ...normalized,
+      title: normalized.title.slice(0, MAX_TITLE_LENGTH),
+      content: normalized.content.slice(0, MAX_CONTENT_LENGTH),
+    },
+    id,
+    error: null,
+  };
+};
+
+/**
+ * Keep the messages that pass validation; log the rest.
+ * @param {Array} list - raw records from the backend or the cache
+ * @param {string} [source] - where they came from, for the reject log
+ * @returns {Array} sanitized messages
+ */
+export const validateMessages = (list, source = 'message') => {
+  const messages = [];
+  (Array.isArray(list) ? list : []).forEach(raw => {
+    const { message, id, error } = sanitizeMessage(raw);
+    if (message) {
+      messages.push(message);
+    } else {
+      recordRejected(source, id, error);
+    }
+  });
+  return messages;
+};
+
+/**
+ * Check a socket `statusUpdate` event.
+ * @returns {{messageId: string, status: string, deliveredAt: string|null}|null} null when rejected
+ */
+export const validateStatusUpdate = (raw) => {
+  if (!isRecord(raw)) {
+    recordRejected('statusUpdate', null, 'not an object');
+    return null;
+  }
+
+  const messageId = asId(raw.messageId);
+  if (!messageId) {
+    recordRejected('statusUpdate', null, 'missing or invalid messageId');
+    return null;
+  }
+
+  const status = asStatus(raw.status);
+  if (!status) {
+    recordRejected('statusUpdate', messageId, `unknown status "${String(raw.status).slice(0, 40)}"`);
+    return null;
+  }
+
+  return { messageId, status, deliveredAt: asDate(raw.deliveredAt) };
+};
+
+// Most recent rejections, newest first: [{ source, id, reason, at, count }]
+export const getRejectedPayloads = () => rejected;
+
+export default {
+  MESSAGE_STATUSES,
+  sanitizeMessage,
+  validateMessages,
+  validateStatusUpdate,
+  getRejectedPayloads,
+};
@@ -0,0 +1,120 @@
+// messageSync.js - Incremental Message Sync
+// Fetches only what changed since the last sync cursor, falling back to the
+// newest page of the list when there is no cursor or the backend rejects it.
+// Older pages are loaded on demand with fetchMessagePage.
+
+import { getMessages, getMessage } from './api';
+import { APP_CONFIG } from './config';
+import { validateMessages } from './messageSchema';
+
+// Statuses the backend uses to reject an expired or unknown cursor
+const CURSOR_REJECTED = [400, 409, 410, 422];
+
+// A changed message can also be a tombstone ({ _id, deleted: true } / deletedAt)
+const isTombstone = (msg) => msg?.deleted === true || Boolean(msg?.deletedAt);
+
+// Prefer the server's own answer; otherwise infer from the total or a full page.
+// Backends that ignore page/limit return everything at once, which ends paging
+// as soon as a page adds nothing new.
+const hasMorePages = (meta, received, page, limit) => {
+  if (typeof meta.hasMore === 'boolean') return meta.hasMore;
+  if (typeof meta.count === 'number') return page * limit < meta.count;
+  return received >= limit;
+};
+
+/**
+ * Fetch one page of the message list (1-based).
+ * @returns {Promise<{success: boolean, messages: Array, count: number|undefined, hasMore: boolean, error: string|null}>}
+ */
+export const fetchMessagePage = async (page, options = {}) => {
+  const limit = APP_CONFIG.pagination.pageSize;
+  const result = await getMessages({ ...options, page, limit });
+
+  if (!result.success || !Array.isArray(result.data)) {
+    return { success: false, messages: [], hasMore: true, error: result.error || 'Unexpected response' };
+  }
+
+  return {
+    success: true,
+    messages: validateMessages(result.data.filter(msg => !isTombstone(msg))),
+    count: result.meta.count,
+    hasMore: hasMorePages(result.meta, result.data.length, page, limit),
+    error: null,
+  };
+};
+
+/**
+ * Fetch a single message by ID.
+ * @returns {Promise<{success: boolean, message: Object|null, error: string|null}>}
+ */
+export const fetchMessage = async (id, options = {}) => {
+  const result = await getMessage(id, options);
+  if (!result.success) {
+    return { success: false, message: null, error: result.error };
+  }
+
+  // Some backends wrap it as { message }
+  const [message] = validateMessages([result.data?.message || result.data]);
+  if (!message || isTombstone(result.data)) {
+    return { success: false, message: null, error: 'Unexpected response' };
+  }
+  return { success: true, message, error: null };
+};
+
+/**
+ * Sync messages with the backend.
+ * @param {string|null} cursor - cursor returned by the previous sync
+ * @param {Object} [options] - passed through to the API client
+ * @returns {Promise<{success: boolean, mode: 'full'|'delta', messages: Array, deletedIds: Array, cursor: string|null, count: number|undefined, hasMore: boolean|undefined, error: string|null}>}
+ * `messages` is the newest page in 'full' mode; `hasMore` is only set in 'full' mode.
+ */
+export const syncMessages = async (cursor, options = {}) => {
+  if (cursor) {
+    const result = await getMessages({ ...options, since: cursor });
+
+    if (result.success && Array.isArray(result.data)) {
+      const changed = validateMessages(result.data.filter(msg => !isTombstone(msg)));
+      const deletedIds = [
+        ...(result.meta.deleted || []),
+        ...result.data.filter(isTombstone).map(msg => msg._id),
+      ];
+
+      return {
+        success: true,
+        mode: 'delta',
+        messages: changed,
+        deletedIds,
+        cursor: result.meta.cursor || null,
+        count: result.meta.count,
+        error: null,
+      };
+    }
+
+    if (!CURSOR_REJECTED.includes(result.status)) {
+      return { success: false, mode: 'delta', messages: [], deletedIds: [], cursor, error: result.error };
+    }
+
+    console.log('↩️ Sync cursor rejected by backend, falling back to full refresh:', result.error);
+  }
+
+  const limit = APP_CONFIG.pagination.pageSize;
+  const result = await getMessages({ ...options, page: 1, limit });
+
+  if (!result.success || !Array.isArray(result.data)) {
+    return { success: false, mode: 'full', messages: [], deletedIds: [], cursor: null, error: result.error || 'Unexpected response' };
+  }
+
+  return {
+    success: true,
+    mode: 'full',
+    messages: validateMessages(result.data),
+    deletedIds: [],
+    // Backends without delta support send no cursor, so every sync stays a full refresh
+    cursor: result.meta.cursor || null,
+    count: result.meta.count,
+    hasMore: hasMorePages(result.meta, result.data.length, 1, limit),
+    error: null,
+  };
+};
+
+export default { syncMessages, fetchMessagePage, fetchMessage };
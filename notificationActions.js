@@ -0,0 +1,92 @@
+// notificationActions.js - Notification Action Buttons
+// Messages can be answered straight from the notification, lock screen
+// included: health reminders get Taken / Snooze 15 min / Dismiss, everything
+// else Acknowledge / Remind me in 1 hour / Dismiss.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { channelForMessage, isReminderMessage } from './notificationChannels';
+
+export const NOTIFICATION_ACTIONS = {
+  TAKEN: 'taken',
+  ACKNOWLEDGE: 'acknowledge',
+  SNOOZE: 'snooze',
+  REMIND_LATER: 'remind-later',
+  DISMISS: 'dismiss',
+};
+
+// Actions that show the notification again later, in minutes
+export const SNOOZE_MINUTES = {
+  [NOTIFICATION_ACTIONS.SNOOZE]: 15,
+  [NOTIFICATION_ACTIONS.REMIND_LATER]: 60,
+};
+
+// None of the actions open the app, so they work without unlocking the phone
+const action = (identifier, buttonTitle, options = {}) => ({
+  identifier,
+  buttonTitle,
+  options: { opensAppToForeground: false, ...options },
+});
+
+export const NOTIFICATION_CATEGORIES = {
+  reminder: [
+    action(NOTIFICATION_ACTIONS.TAKEN, 'Taken'),
+    action(NOTIFICATION_ACTIONS.SNOOZE, 'Snooze 15 min'),
+    action(NOTIFICATION_ACTIONS.DISMISS, 'Dismiss', { isDestructive: true }),
+  ],
+  message: [
+    action(NOTIFICATION_ACTIONS.ACKNOWLEDGE, 'Acknowledge'),
+    action(NOTIFICATION_ACTIONS.REMIND_LATER, 'Remind me in 1 hour'),
+    action(NOTIFICATION_ACTIONS.DISMISS, 'Dismiss', { isDestructive: true }),
+  ],
+};
+
+// Pick the action set for a message (or a notification's data payload)
+export const categoryForMessage = (message = {}) => (isReminderMessage(message) ? 'reminder' : 'message');
+
+// Register every category with the OS; a no-op on web
+export const setupNotificationCategoriesAsync = async () => {
+  if (Platform.OS === 'web') return;
+
+  try {
+    await Promise.all(Object.entries(NOTIFICATION_CATEGORIES).map(([id, actions]) =>
+      Notifications.setNotificationCategoryAsync(id, actions)
+    ));
+  } catch (error) {
+    console.log('⚠️ Could not register notification actions:', error.message);
+  }
+};
+
+const SNOOZE_PREFIX = 'snoozed-';
+
+// Show the same notification (a NotificationRequest) again after `minutes`.
+// Keyed on its identifier, not a messageId, since not every notification has
+// one (the missed-messages summary); snoozing again replaces the earlier snooze.
+export const snoozeNotification = async ({ identifier, content }, minutes) => {
+  const data = content.data || {};
+  await Notifications.scheduleNotificationAsync({
+    identifier: identifier.startsWith(SNOOZE_PREFIX) ? identifier : `${SNOOZE_PREFIX}${identifier}`,
+    content: {
+      title: content.title,
+      body: content.body,
+      data,
+      // Buttons only for a message; the summary has none to act on
+      categoryIdentifier: content.categoryIdentifier || (data.messageId ? categoryForMessage(data) : undefined),
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+      seconds: minutes * 60,
+      channelId: channelForMessage(data),
+    },
+  });
+  console.log(`😴 Snoozed "${content.title}" for ${minutes} minutes`);
+};
+
+export default {
+  NOTIFICATION_ACTIONS,
+  SNOOZE_MINUTES,
+  NOTIFICATION_CATEGORIES,
+  categoryForMessage,
+  setupNotificationCategoriesAsync,
+  snoozeNotification,
+};
@@ -0,0 +1,93 @@
+// notificationChannels.js - Android Notification Channels
+// One channel per kind of message so an urgent medication reminder and a
+// "Test" message don't alert the same way. Users can tune each channel in
+// the Android system settings.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+export const CHANNELS = {
+  urgent: {
+    name: 'Urgent',
+    description: 'Urgent and high priority health alerts',
+    importance: Notifications.AndroidImportance.MAX,
+    sound: 'default',
+    vibrationPattern: [0, 500, 250, 500, 250, 500],
+    lightColor: '#FF231F7C',
+    bypassDnd: true,
+  },
+  reminders: {
+    name: 'Reminders',
+    description: 'Medication and appointment reminders',
+    importance: Notifications.AndroidImportance.HIGH,
+    sound: 'default',
+    vibrationPattern: [0, 250, 250, 250],
+    lightColor: '#FF007AFF',
+  },
+  educational: {
+    name: 'Health tips',
+    description: 'Educational content and health tips',
+    importance: Notifications.AndroidImportance.DEFAULT,
+    sound: null,
+    vibrationPattern: null,
+    enableVibrate: false,
+  },
+  test: {
+    name: 'Test',
+    description: 'Test notifications',
+    importance: Notifications.AndroidImportance.LOW,
+    sound: null,
+    vibrationPattern: null,
+    enableVibrate: false,
+  },
+  default: {
+    name: 'default',
+    importance: Notifications.AndroidImportance.MAX,
+    vibrationPattern: [0, 250, 250, 250],
+    lightColor: '#FF231F7C',
+  },
+};
+
+// How each channel behaves when a notification arrives while the app is open
+const FOREGROUND_BEHAVIOR = {
+  urgent: { shouldPlaySound: true, priority: Notifications.AndroidNotificationPriority.MAX },
+  reminders: { shouldPlaySound: true, priority: Notifications.AndroidNotificationPriority.HIGH },
+  educational: { shouldPlaySound: false, priority: Notifications.AndroidNotificationPriority.DEFAULT },
+  test: { shouldPlaySound: false, priority: Notifications.AndroidNotificationPriority.LOW },
+  default: { shouldPlaySound: true, priority: Notifications.AndroidNotificationPriority.HIGH },
+};
+
+const REMINDER_PATTERN = /remind|medication|appointment|refill/i;
+const EDUCATIONAL_PATTERN = /educat|tip|wellness|newsletter/i;
+
+// Pick a channel from a message (or a notification's data payload)
+export const channelForMessage = (message = {}) => {
+  const priority = String(message.priority || '').toLowerCase();
+  const category = String(message.category || '');
+  const healthCategory = String(message.healthCategory || '');
+
+  if (message.channelId && CHANNELS[message.channelId]) return message.channelId;
+  if (priority === 'urgent' || priority === 'critical' || priority === 'high') return 'urgent';
+  if (category.toLowerCase() === 'test') return 'test';
+  if (REMINDER_PATTERN.test(category) || REMINDER_PATTERN.test(healthCategory)) return 'reminders';
+  if (EDUCATIONAL_PATTERN.test(category) || EDUCATIONAL_PATTERN.test(healthCategory)) return 'educational';
+  return 'default';
+};
+
+// Medication, appointment and refill reminders, whatever their priority
+export const isReminderMessage = (message = {}) =>
+  REMINDER_PATTERN.test(String(message.category || '')) || REMINDER_PATTERN.test(String(message.healthCategory || ''));
+
+export const foregroundBehaviorFor = (message) => FOREGROUND_BEHAVIOR[channelForMessage(message)];
+
+// Create (or update) every channel; a no-op outside Android
+export const setupNotificationChannelsAsync = async () => {
+  if (Platform.OS !== 'android') return;
+
+  console.log('🤖 Configuring Android notification channels...');
+  await Promise.all(Object.entries(CHANNELS).map(([id, channel]) =>
+    Notifications.setNotificationChannelAsync(id, channel)
+  ));
+};
+
+export default { CHANNELS, channelForMessage, isReminderMessage, foregroundBehaviorFor, setupNotificationChannelsAsync };
@@ -0,0 +1,54 @@
+// notificationLedger.js - Seen/Delivered Notification Ledger
+// Remembers which messages have already been surfaced as local notifications,
+// across app restarts, so each one is shown exactly once. Messages with a
+// local schedule are recorded ahead of time, with the time they will go off.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const LEDGER_KEY = '@sephealth/notification-ledger';
+
+// Entries older than this are dropped; messages sent before it are never surfaced
+export const LEDGER_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LEDGER_MAX_ENTRIES = 1000;
+
+// Returns { seen: Map<messageId, seenAtMs>, isNew } where isNew means no ledger
+// has ever been written on this device (fresh install)
+export const loadNotificationLedger = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(LEDGER_KEY);
+    if (!raw) {
+      return { seen: new Map(), isNew: true };
+    }
+
+    const stored = JSON.parse(raw);
+    return { seen: new Map(Object.entries(stored.seen || {})), isNew: false };
+  } catch (error) {
+    console.log('⚠️ Could not read notification ledger:', error.message);
+    return { seen: new Map(), isNew: true };
+  }
+};
+
+// Drop expired entries, then keep only the most recent LEDGER_MAX_ENTRIES
+export const pruneLedger = (seen, now = Date.now()) => {
+  const cutoff = now - LEDGER_RETENTION_MS;
+  const kept = [...seen.entries()]
+    .filter(([, seenAt]) => seenAt >= cutoff)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, LEDGER_MAX_ENTRIES);
+
+  return new Map(kept);
+};
+
+// An entry recorded ahead of time only counts once its time has passed
+export const wasShown = (seen, messageId, now = Date.now()) => seen.has(messageId) && seen.get(messageId) <= now;
+
+export const saveNotificationLedger = async (seen) => {
+  try {
+    const pruned = pruneLedger(seen);
+    await AsyncStorage.setItem(LEDGER_KEY, JSON.stringify({ seen: Object.fromEntries(pruned) }));
+  } catch (error) {
+    console.log('⚠️ Could not write notification ledger:', error.message);
+  }
+};
+
+export default { loadNotificationLedger, saveNotificationLedger, pruneLedger, wasShown, LEDGER_RETENTION_MS };
@@ -0,0 +1,99 @@
+// pollingScheduler.js - Adaptive Message Polling
+// Polling is only a fallback for the socket: it is suspended while the socket
+// is connected, speeds up when it drops, pauses in the background and does a
+// single catch-up poll when the app comes back to the foreground.
+
+import { AppState } from 'react-native';
+import { APP_CONFIG } from './config';
+import { SOCKET_STATES } from './socketManager';
+
+/**
+ * @param {Function} poll - performs one background fetch
+ * @param {Object} [intervals] - overrides for APP_CONFIG.polling
+ */
+export const createPollingScheduler = (poll, intervals = {}) => {
+  const { interval, disconnectedInterval } = { ...APP_CONFIG.polling, ...intervals };
+
+  let socketState = SOCKET_STATES.CONNECTING;
+  let foreground = AppState.currentState !== 'background';
+  let running = false;
+  let timer = null;
+  let subscription = null;
+  let lastPollAt = null;
+
+  // null means polling is suspended
+  const currentInterval = () => {
+    if (!foreground) return null;
+    switch (socketState) {
+      case SOCKET_STATES.CONNECTED:
+        return null;
+      case SOCKET_STATES.RECONNECTING:
+      case SOCKET_STATES.OFFLINE:
+        return disconnectedInterval;
+      default:
+        return interval;
+    }
+  };
+
+  const runPoll = () => {
+    lastPollAt = new Date().toISOString();
+    return poll();
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!running) return;
+
+    const delay = currentInterval();
+    if (delay) {
+      timer = setTimeout(() => {
+        runPoll();
+        schedule();
+      }, delay);
+    }
+  };
+
+  const handleAppStateChange = (nextState) => {
+    const wasForeground = foreground;
+    // 'inactive' (iOS app switcher, notification center) still counts as foreground
+    foreground = nextState !== 'background';
+
+    if (foreground && !wasForeground) {
+      console.log('☀️ App returned to foreground, catching up on messages...');
+      runPoll();
+    } else if (!foreground && wasForeground) {
+      console.log('🌙 App backgrounded, pausing polling');
+    }
+    schedule();
+  };
+
+  return {
+    start: () => {
+      if (running) return;
+      running = true;
+      subscription = AppState.addEventListener('change', handleAppStateChange);
+      schedule();
+    },
+
+    stop: () => {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+      subscription?.remove();
+      subscription = null;
+    },
+
+    setSocketState: (state) => {
+      if (state === socketState) return;
+      socketState = state;
+      const delay = currentInterval();
+      console.log(`🔄 Polling ${delay ? `every ${delay / 1000}s` : 'suspended'} (socket ${state})`);
+      schedule();
+    },
+
+    getStatus: () => ({ foreground, socketState, interval: currentInterval(), lastPollAt }),
+  };
+};
+
+export default { createPollingScheduler };
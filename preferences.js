@@ -0,0 +1,112 @@
+// preferences.js - User Notification Preferences
+// Stored on device, sent to the backend as the device's healthProfile and
+// enforced locally before the app raises a notification.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PREFERENCES_KEY = '@sephealth/preferences';
+
+// Lowest to highest; messageSchema.js maps anything else to 'normal'
+export const PRIORITY_LEVELS = ['low', 'normal', 'high', 'urgent', 'critical'];
+
+// Offered on the preferences screen alongside any categories seen in messages
+export const HEALTH_CATEGORIES = ['General', 'Medication', 'Appointment', 'Wellness', 'Nutrition', 'Mental Health'];
+
+export const DEFAULT_PREFERENCES = {
+  healthCategories: [], // empty means every category
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+  },
+  minPriority: 'low',
+};
+
+export const loadPreferences = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(PREFERENCES_KEY);
+    const stored = raw ? JSON.parse(raw) : {};
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...stored,
+      quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...stored.quietHours },
+    };
+  } catch (error) {
+    console.log('⚠️ Could not read preferences:', error.message);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = async (preferences) => {
+  try {
+    await AsyncStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.log('⚠️ Could not write preferences:', error.message);
+  }
+};
+
+// Shape sent as `healthProfile` when registering the device
+export const toHealthProfile = (preferences) => ({
+  healthCategories: preferences.healthCategories,
+  quietHours: preferences.quietHours,
+  minPriority: preferences.minPriority,
+});
+
+// "HH:MM" -> minutes since midnight, or null when malformed
+export const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+// Quiet hours may wrap past midnight (22:00 - 07:00)
+export const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const current = now.getHours() * 60 + now.getMinutes();
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Position in PRIORITY_LEVELS; anything unknown ranks as 'normal'
+export const priorityRank = (priority) => {
+  const rank = PRIORITY_LEVELS.indexOf(String(priority || 'normal').toLowerCase());
+  return rank === -1 ? PRIORITY_LEVELS.indexOf('normal') : rank;
+};
+
+// Decide whether a message may raise a local notification right now
+export const shouldNotify = (message, preferences, now = new Date()) => {
+  if (priorityRank(message.priority) < priorityRank(preferences.minPriority)) return false;
+
+  const categories = preferences.healthCategories || [];
+  if (categories.length > 0 && message.healthCategory && !categories.includes(message.healthCategory)) {
+    return false;
+  }
+
+  // Urgent and critical messages still come through during quiet hours
+  if (isQuietTime(preferences.quietHours, now) && priorityRank(message.priority) < priorityRank('urgent')) {
+    return false;
+  }
+
+  return true;
+};
+
+export default {
+  PRIORITY_LEVELS,
+  priorityRank,
+  HEALTH_CATEGORIES,
+  DEFAULT_PREFERENCES,
+  loadPreferences,
+  savePreferences,
+  toHealthProfile,
+  parseTime,
+  isQuietTime,
+  shouldNotify,
+};
@@ -0,0 +1,51 @@
+// sw.js - SEPHealth Web Push Service Worker
+// Served from the site root by Expo's web build (public/). Shows pushes sent
+// by the backend and routes notification clicks back into the app.
+
+const SOURCE = 'sephealth-sw';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+const windowClients = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+// Expected payload: { title, body, data: { messageId, category, priority, healthCategory } }
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const data = payload.data || {};
+  const title = payload.title || 'SEPHealth';
+
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(title, {
+      body: payload.body || payload.content || '',
+      data,
+      icon: '/favicon.ico',
+      // Same tag the app uses, so a push and the app's own alert collapse into one
+      tag: data.messageId ? `message-${data.messageId}` : undefined,
+    }),
+    // Open tabs record the message as shown so they don't alert for it again
+    windowClients().then(clients => clients.forEach(client =>
+      client.postMessage({ source: SOURCE, type: 'push', messageId: data.messageId || null })
+    )),
+  ]));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const messageId = event.notification.data && event.notification.data.messageId;
+
+  event.waitUntil(windowClients().then((clients) => {
+    const client = clients[0];
+    if (client) {
+      client.postMessage({ source: SOURCE, type: 'open', messageId: messageId || null });
+      return client.focus();
+    }
+    return self.clients.openWindow(messageId ? `/?messageId=${encodeURIComponent(messageId)}` : '/');
+  }));
+});
@@ -0,0 +1,35 @@
+// readReceipts.js - Local Read/Acknowledge State
+// Remembers which messages the user has opened or acknowledged on this device.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const RECEIPTS_KEY = '@sephealth/read-receipts';
+const MAX_RECEIPTS = 1000;
+
+// Returns { [messageId]: { readAt, acknowledgedAt } }
+export const loadReadReceipts = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(RECEIPTS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.log('⚠️ Could not read read receipts:', error.message);
+    return {};
+  }
+};
+
+// Keeps the most recently read entries when over the limit
+export const saveReadReceipts = async (receipts) => {
+  try {
+    const entries = Object.entries(receipts)
+      .sort((a, b) => new Date(b[1].readAt || 0) - new Date(a[1].readAt || 0))
+      .slice(0, MAX_RECEIPTS);
+    await AsyncStorage.setItem(RECEIPTS_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (error) {
+    console.log('⚠️ Could not write read receipts:', error.message);
+  }
+};
+
+export const isUnread = (message, receipts) =>
+  message.status === 'Sent' && !receipts[message._id]?.readAt;
+
+export default { loadReadReceipts, saveReadReceipts, isUnread };
@@ -0,0 +1,60 @@
+// registration.js - Device Registration Record
+// Remembers what was last registered with the backend (push token, app
+// version, permission, backend URL) so the app can tell when it needs to register again.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { APP_CONFIG } from './config';
+
+const RECORD_KEY = '@sephealth/registration';
+
+// Returns { pushToken, appVersion, permission, serverUrl, deviceId, registeredAt } or null
+export const loadRegistrationRecord = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(RECORD_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.log('⚠️ Could not read registration record:', error.message);
+    return null;
+  }
+};
+
+export const saveRegistrationRecord = async (record) => {
+  try {
+    await AsyncStorage.setItem(RECORD_KEY, JSON.stringify(record));
+  } catch (error) {
+    console.log('⚠️ Could not write registration record:', error.message);
+  }
+};
+
+export const clearRegistrationRecord = async () => {
+  try {
+    await AsyncStorage.removeItem(RECORD_KEY);
+  } catch (error) {
+    console.log('⚠️ Could not clear registration record:', error.message);
+  }
+};
+
+// Why the device has to be registered again, or null when the record is current
+export const registrationChangeReason = (record, current) => {
+  if (!record) return 'new device';
+  if (record.pushToken !== current.pushToken) return 'push token changed';
+  if (record.appVersion !== current.appVersion) return 'app version changed';
+  if (record.permission !== current.permission) return 'permission changed';
+  // Records saved before the environment switcher have no serverUrl
+  if (record.serverUrl && record.serverUrl !== current.serverUrl) return 'backend changed';
+  return null;
+};
+
+// Exponential backoff: 5s, 10s, 20s, ... capped at APP_CONFIG.registrationRetry.maxDelay
+export const registrationRetryDelay = (attempt) => {
+  const { initialDelay, maxDelay } = APP_CONFIG.registrationRetry;
+  return Math.min(initialDelay * Math.pow(2, Math.max(attempt - 1, 0)), maxDelay);
+};
+
+export default {
+  loadRegistrationRecord,
+  saveRegistrationRecord,
+  clearRegistrationRecord,
+  registrationChangeReason,
+  registrationRetryDelay,
+};
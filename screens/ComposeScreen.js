@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, TextInput, BackHandler, Platform, ActivityIndicator } from 'react-native';
+import { PRIORITY_LEVELS, HEALTH_CATEGORIES } from '../preferences';
+import { MESSAGE_CATEGORIES, TARGET_TYPES, emptyDraft, draftFromMessage, validateDraft } from '../messageDraft';
+
+function ChipGroup({ values, selected, onSelect }) {
+  return (
+    <View style={styles.chips}>
+      {values.map(({ key, label }) => (
+        <TouchableOpacity
+          key={key}
+          style={[styles.chip, selected === key && styles.chipSelected]}
+          onPress={() => onSelect(key)}
+        >
+          <Text style={[styles.chipText, selected === key && styles.chipTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const asOptions = (values) => values.map(value => ({ key: value, label: value }));
+
+// `message` is the Scheduled message being edited, or null for a new one
+export default function ComposeScreen({ message, knownHealthCategories = [], onSubmit, onBack }) {
+  const [draft, setDraft] = useState(() => (message ? draftFromMessage(message) : emptyDraft()));
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const healthCategories = [...new Set([...HEALTH_CATEGORIES, ...knownHealthCategories, draft.healthCategory])];
+
+  const update = (changes) => setDraft({ ...draft, ...changes });
+
+  const handleSubmit = async () => {
+    const validation = validateDraft(draft);
+    setErrors(validation.errors);
+    if (!validation.valid) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+    const result = await onSubmit(draft);
+    // On success the screen is closed by the parent
+    if (!result.success) {
+      setSubmitError(result.error);
+      setSubmitting(false);
+    }
+  };
+
+  const fieldError = (field) => errors[field] && <Text style={styles.error}>{errors[field]}</Text>;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      <Text style={styles.title}>{message ? 'Edit Message' : 'New Message'}</Text>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.section}>
+          <Text style={styles.label}>Title</Text>
+          <TextInput
+            style={styles.input}
+            value={draft.title}
+            onChangeText={(title) => update({ title })}
+            placeholder="Time for your medication"
+          />
+          {fieldError('title')}
+
+          <Text style={styles.label}>Body</Text>
+          <TextInput
+            style={[styles.input, styles.multiline]}
+            value={draft.content}
+            onChangeText={(content) => update({ content })}
+            placeholder="Message shown in the notification"
+            multiline
+          />
+          {fieldError('content')}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Category</Text>
+          <ChipGroup values={asOptions([...new Set([...MESSAGE_CATEGORIES, draft.category])])} selected={draft.category} onSelect={(category) => update({ category })} />
+          {fieldError('category')}
+
+          <Text style={styles.label}>Priority</Text>
+          <ChipGroup values={asOptions(PRIORITY_LEVELS)} selected={draft.priority} onSelect={(priority) => update({ priority })} />
+          {fieldError('priority')}
+
+          <Text style={styles.label}>Health category</Text>
+          <ChipGroup values={asOptions(healthCategories)} selected={draft.healthCategory} onSelect={(healthCategory) => update({ healthCategory })} />
+          {fieldError('healthCategory')}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Send at</Text>
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.dateInput]}
+              value={draft.sendDate}
+              onChangeText={(sendDate) => update({ sendDate })}
+              placeholder="2025-09-30"
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+            />
+            <TextInput
+              style={[styles.input, styles.timeInput]}
+              value={draft.sendTime}
+              onChangeText={(sendTime) => update({ sendTime })}
+              placeholder="09:00"
+              keyboardType="numbers-and-punctuation"
+              maxLength={5}
+            />
+          </View>
+          {fieldError('schedule')}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>Send to</Text>
+          <ChipGroup values={TARGET_TYPES} selected={draft.targetType} onSelect={(targetType) => update({ targetType })} />
+          {draft.targetType === 'device' && (
+            <TextInput
+              style={styles.input}
+              value={draft.deviceId}
+              onChangeText={(deviceId) => update({ deviceId })}
+              placeholder="Device ID"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          )}
+          {draft.targetType === 'user' && (
+            <TextInput
+              style={styles.input}
+              value={draft.userId}
+              onChangeText={(userId) => update({ userId })}
+              placeholder="User ID"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          )}
+          {fieldError('target')}
+        </View>
+
+        {submitError && <Text style={styles.error}>{submitError}</Text>}
+
+        <TouchableOpacity style={styles.submitButton} onPress={handleSubmit} disabled={submitting}>
+          {submitting
+            ? <ActivityIndicator color="#fff" />
+            : <Text style={styles.submitButtonText}>{message ? 'Save changes' : 'Schedule'}</Text>}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    marginBottom: 10,
+  },
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  dateInput: {
+    flex: 2,
+    marginRight: 10,
+  },
+  timeInput: {
+    flex: 1,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#e0e0e0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  error: {
+    fontSize: 13,
+    color: '#d32f2f',
+    marginBottom: 10,
+  },
+  submitButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,238 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, BackHandler, Platform, ActivityIndicator, Share, Alert } from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { testBackendConnection, describeConfiguration } from '../config';
+import { getPermissionStatus, buildDiagnosticsReport } from '../diagnostics';
+import { formatDate, formatDuration } from '../format';
+
+// Socket state and last poll change on their own; re-read them while the screen is open
+const SNAPSHOT_REFRESH_INTERVAL = 2000;
+
+function DiagnosticRow({ label, value, warn }) {
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={[styles.rowValue, warn && styles.rowValueWarn]} selectable>{value || 'N/A'}</Text>
+    </View>
+  );
+}
+
+export default function DiagnosticsScreen({ getDiagnostics, onBack }) {
+  const [snapshot, setSnapshot] = useState(getDiagnostics);
+  const [health, setHealth] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [permission, setPermission] = useState('checking…');
+
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const runHealthCheck = async () => {
+    setChecking(true);
+    setHealth(await testBackendConnection());
+    setChecking(false);
+  };
+
+  useEffect(() => {
+    runHealthCheck();
+    getPermissionStatus().then(setPermission);
+
+    const timer = setInterval(() => setSnapshot(getDiagnostics()), SNAPSHOT_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const configuration = describeConfiguration();
+  const { socket, polling, lastError, rejectedPayloads = [] } = snapshot;
+
+  const copyToken = async () => {
+    await Clipboard.setStringAsync(snapshot.pushToken || '');
+    Alert.alert('Copied', 'Push token copied to the clipboard.');
+  };
+
+  const exportReport = async () => {
+    const report = buildDiagnosticsReport({ snapshot: getDiagnostics(), health, permission, configuration });
+    try {
+      await Share.share({ title: 'SEPHealth diagnostics', message: report });
+    } catch (error) {
+      // No share sheet (most desktop browsers): hand it over through the clipboard instead
+      await Clipboard.setStringAsync(report);
+      Alert.alert('Report copied', 'The diagnostics report was copied to the clipboard. Paste it into your support ticket.');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      <Text style={styles.title}>Diagnostics</Text>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Backend</Text>
+          <DiagnosticRow label="Server" value={configuration.backendUrl} />
+          {checking ? (
+            <ActivityIndicator color="#007AFF" style={styles.inlineLoader} />
+          ) : (
+            <>
+              <DiagnosticRow
+                label="Health"
+                value={health ? (health.success ? `✅ ${health.data?.status || 'OK'}` : `❌ ${health.error}`) : null}
+                warn={health && !health.success}
+              />
+              <DiagnosticRow label="Latency" value={health?.latency != null ? formatDuration(health.latency) : null} />
+            </>
+          )}
+          <TouchableOpacity onPress={runHealthCheck} disabled={checking}>
+            <Text style={styles.link}>Run health check again</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Real-time</Text>
+          <DiagnosticRow label="Socket" value={socket.state} warn={socket.state === 'offline'} />
+          <DiagnosticRow label="Transport" value={socket.transport} />
+          <DiagnosticRow label="Last poll" value={polling.lastPollAt ? formatDate(polling.lastPollAt) : null} />
+          <DiagnosticRow label="Last synced" value={snapshot.lastSyncedAt ? formatDate(snapshot.lastSyncedAt) : null} />
+          <DiagnosticRow
+            label="Last error"
+            value={lastError ? `${lastError.source}: ${lastError.message} (${formatDate(lastError.at)})` : 'None'}
+            warn={Boolean(lastError)}
+          />
+          <DiagnosticRow
+            label="Rejected payloads"
+            value={rejectedPayloads.length > 0
+              ? `${rejectedPayloads.length} (last: ${rejectedPayloads[0].source}${rejectedPayloads[0].id ? ` ${rejectedPayloads[0].id}` : ''}: ${rejectedPayloads[0].reason})`
+              : 'None'}
+            warn={rejectedPayloads.length > 0}
+          />
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>This device</Text>
+          <DiagnosticRow label="Permission" value={permission} warn={permission === 'denied'} />
+          <DiagnosticRow label="Registered" value={snapshot.registered ? 'Yes' : 'No'} warn={!snapshot.registered} />
+          <DiagnosticRow label="Device ID" value={snapshot.deviceId} />
+          <Text style={styles.rowLabel}>Push token</Text>
+          <Text style={styles.token} selectable>{snapshot.pushToken || 'N/A'}</Text>
+          {snapshot.pushToken && (
+            <TouchableOpacity onPress={copyToken}>
+              <Text style={styles.link}>📋 Copy push token</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Endpoints</Text>
+          {Object.entries(configuration.endpoints).map(([key, url]) => (
+            <View key={key} style={styles.endpoint}>
+              <Text style={styles.rowLabel}>{key}</Text>
+              <Text style={styles.endpointUrl} selectable>{url}</Text>
+            </View>
+          ))}
+        </View>
+
+        <TouchableOpacity style={styles.exportButton} onPress={exportReport}>
+          <Text style={styles.exportButtonText}>📤 Export report</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 3,
+  },
+  rowLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginRight: 10,
+  },
+  rowValue: {
+    fontSize: 13,
+    color: '#333',
+    fontWeight: '500',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  rowValueWarn: {
+    color: '#d32f2f',
+  },
+  inlineLoader: {
+    marginVertical: 8,
+  },
+  link: {
+    fontSize: 13,
+    color: '#007AFF',
+    marginTop: 6,
+  },
+  token: {
+    fontSize: 11,
+    color: '#333',
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    marginTop: 4,
+  },
+  endpoint: {
+    paddingVertical: 3,
+  },
+  endpointUrl: {
+    fontSize: 11,
+    color: '#333',
+  },
+  exportButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, TextInput, BackHandler, Platform, ActivityIndicator } from 'react-native';
+import { environmentPresets, getCurrentEnvironment } from '../environment';
+
+// Development builds only; opened by long-pressing the title on the home screen
+export default function EnvironmentScreen({ onSwitch, onBack }) {
+  const current = getCurrentEnvironment();
+  const presets = environmentPresets();
+  const isCustom = !presets.some(preset => preset.baseUrl === current.baseUrl);
+
+  const [customUrl, setCustomUrl] = useState(isCustom ? current.baseUrl : '');
+  const [error, setError] = useState(null);
+  const [switching, setSwitching] = useState(false);
+
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const select = async (environment) => {
+    setSwitching(true);
+    setError(null);
+    const result = await onSwitch(environment);
+    // On success the screen is closed by the parent
+    if (!result.success) {
+      setError(result.error);
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      <Text style={styles.title}>Backend Environment</Text>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.currentText}>Current: {current.name} • {current.baseUrl}</Text>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Presets</Text>
+          {presets.map(preset => (
+            <TouchableOpacity
+              key={preset.name}
+              style={[styles.option, preset.baseUrl === current.baseUrl && styles.optionSelected]}
+              onPress={() => select(preset)}
+              disabled={switching}
+            >
+              <Text style={styles.optionName}>{preset.name}</Text>
+              <Text style={styles.optionUrl}>{preset.baseUrl}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Custom URL</Text>
+          <TextInput
+            style={styles.input}
+            value={customUrl}
+            onChangeText={setCustomUrl}
+            placeholder="http://192.168.1.10:3001"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            editable={!switching}
+          />
+          <TouchableOpacity
+            style={styles.applyButton}
+            onPress={() => select({ name: 'custom', baseUrl: customUrl })}
+            disabled={switching}
+          >
+            <Text style={styles.applyButtonText}>Use custom URL</Text>
+          </TouchableOpacity>
+        </View>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+        {switching && <ActivityIndicator color="#007AFF" />}
+
+        <Text style={styles.note}>
+          Switching reconnects the socket, registers this device with the new backend and reloads the message list.
+        </Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  currentText: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 12,
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  option: {
+    backgroundColor: '#fff',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 10,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    borderColor: '#007AFF',
+    borderWidth: 2,
+  },
+  optionName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    textTransform: 'capitalize',
+  },
+  optionUrl: {
+    fontSize: 12,
+    color: '#666',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  applyButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  error: {
+    fontSize: 13,
+    color: '#d32f2f',
+    marginBottom: 10,
+  },
+  note: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 10,
+    marginBottom: 30,
+  },
+});
@@ -0,0 +1,318 @@
+import { useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, BackHandler, Platform, ActivityIndicator, Image } from 'react-native';
+import { formatDate } from '../format';
+import { isEditable } from '../messageDraft';
+import MarkdownText from '../components/MarkdownText';
+
+// Prefer the backend's history; otherwise rebuild what we can from the message timestamps
+const buildStatusHistory = (message) => {
+  if (Array.isArray(message.statusHistory) && message.statusHistory.length > 0) {
+    return message.statusHistory.map(entry => ({
+      status: entry.status,
+      at: entry.at || entry.timestamp || entry.changedAt,
+    }));
+  }
+
+  return [
+    { status: 'Created', at: message.createdAt },
+    { status: 'Scheduled', at: message.scheduledDateTime },
+    message.deliveredAt && { status: 'Sent', at: message.deliveredAt },
+  ].filter(entry => entry && entry.at);
+};
+
+// canManage: staff may edit or cancel the message while it is still Scheduled
+// onOpenLink: call-to-action, attachment and in-text links
+export default function MessageDetailScreen({ message, receipt, loading, canManage, onBack, onAcknowledge, onEdit, onCancelMessage, onOpenLink }) {
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const renderBody = () => {
+    if (!message) {
+      return loading ? (
+        <ActivityIndicator size="large" color="#007AFF" style={styles.loader} />
+      ) : (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>Message not found</Text>
+          <Text style={styles.emptyStateSubtext}>It may have been deleted</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ScrollView style={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.messageTitle}>{message.title}</Text>
+          <Text style={styles.messageStatus}>{message.status}</Text>
+        </View>
+        {message.rich?.imageUrl && (
+          <Image source={{ uri: message.rich.imageUrl }} style={styles.messageImage} resizeMode="cover" />
+        )}
+        <MarkdownText
+          text={message.content || message.body}
+          style={styles.messageContent}
+          textStyle={styles.messageContentText}
+          onLinkPress={onOpenLink}
+        />
+
+        {message.rich?.attachment && (
+          <TouchableOpacity style={styles.attachment} onPress={() => onOpenLink(message.rich.attachment.url)}>
+            <Text style={styles.attachmentText}>📎 {message.rich.attachment.name}</Text>
+          </TouchableOpacity>
+        )}
+
+        {message.rich?.cta && (
+          <TouchableOpacity style={styles.ctaButton} onPress={() => onOpenLink(message.rich.cta.url)}>
+            <Text style={styles.ctaButtonText}>{message.rich.cta.label} ›</Text>
+          </TouchableOpacity>
+        )}
+
+        {receipt?.acknowledgedAt ? (
+          <Text style={styles.acknowledged}>✓ Acknowledged {formatDate(receipt.acknowledgedAt)}</Text>
+        ) : (
+          <TouchableOpacity style={styles.acknowledgeButton} onPress={() => onAcknowledge(message._id)}>
+            <Text style={styles.acknowledgeButtonText}>✓ Acknowledge</Text>
+          </TouchableOpacity>
+        )}
+
+        {canManage && isEditable(message) && (
+          <View style={styles.manageRow}>
+            <TouchableOpacity style={styles.editButton} onPress={() => onEdit(message)}>
+              <Text style={styles.manageButtonText}>✏️ Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.cancelButton} onPress={() => onCancelMessage(message)}>
+              <Text style={styles.manageButtonText}>✕ Cancel message</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Details</Text>
+          <DetailRow label="Category" value={message.category} />
+          <DetailRow label="Priority" value={message.priority || 'normal'} />
+          <DetailRow label="Health category" value={message.healthCategory} />
+          <DetailRow label="Scheduled" value={formatDate(message.scheduledDateTime)} />
+          <DetailRow label="Delivered" value={formatDate(message.deliveredAt)} />
+          <DetailRow label="Read" value={formatDate(receipt?.readAt)} />
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Status history</Text>
+          {buildStatusHistory(message).map((entry, index) => (
+            <View key={`${entry.status}-${index}`} style={styles.historyRow}>
+              <View style={styles.historyDot} />
+              <Text style={styles.historyStatus}>{entry.status}</Text>
+              <Text style={styles.historyDate}>{formatDate(entry.at)}</Text>
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      {renderBody()}
+    </View>
+  );
+}
+
+function DetailRow({ label, value }) {
+  return (
+    <View style={styles.detailRow}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue}>{value || 'N/A'}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  messageTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  messageStatus: {
+    fontSize: 11,
+    color: '#666',
+    backgroundColor: '#e0e0e0',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 4,
+  },
+  messageImage: {
+    width: '100%',
+    height: 200,
+    borderRadius: 8,
+    backgroundColor: '#e0e0e0',
+    marginBottom: 15,
+  },
+  messageContent: {
+    marginBottom: 20,
+  },
+  messageContentText: {
+    fontSize: 16,
+    color: '#555',
+    lineHeight: 22,
+  },
+  attachment: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  attachmentText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  ctaButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  ctaButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  acknowledgeButton: {
+    backgroundColor: '#28a745',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  acknowledgeButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  acknowledged: {
+    fontSize: 14,
+    color: '#28a745',
+    fontWeight: '500',
+    marginBottom: 20,
+  },
+  manageRow: {
+    flexDirection: 'row',
+    marginBottom: 20,
+  },
+  editButton: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#d32f2f',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  manageButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  detailLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  detailValue: {
+    fontSize: 13,
+    color: '#333',
+    fontWeight: '500',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  historyDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#007AFF',
+    marginRight: 10,
+  },
+  historyStatus: {
+    fontSize: 13,
+    color: '#333',
+    flex: 1,
+  },
+  historyDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  loader: {
+    marginTop: 50,
+  },
+  emptyState: {
+    alignItems: 'center',
+    marginTop: 50,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 5,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
@@ -0,0 +1,219 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, Switch, TextInput, BackHandler, Platform, Alert } from 'react-native';
+import { PRIORITY_LEVELS, HEALTH_CATEGORIES, parseTime } from '../preferences';
+
+export default function PreferencesScreen({ preferences, knownCategories = [], saving, onSave, onBack }) {
+  const [draft, setDraft] = useState(preferences);
+
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const categories = [...new Set([...HEALTH_CATEGORIES, ...knownCategories])];
+  const allCategories = draft.healthCategories.length === 0;
+
+  const toggleCategory = (category) => {
+    // Starting from "all", unticking one category means "all the others"
+    const selected = allCategories ? categories : draft.healthCategories;
+    const next = selected.includes(category)
+      ? selected.filter(c => c !== category)
+      : [...selected, category];
+
+    if (next.length === 0) {
+      Alert.alert('Preferences', 'Keep at least one health category.');
+      return;
+    }
+    setDraft({ ...draft, healthCategories: next.length === categories.length ? [] : next });
+  };
+
+  const updateQuietHours = (changes) => {
+    setDraft({ ...draft, quietHours: { ...draft.quietHours, ...changes } });
+  };
+
+  const handleSave = () => {
+    if (draft.quietHours.enabled &&
+      (parseTime(draft.quietHours.start) === null || parseTime(draft.quietHours.end) === null)) {
+      Alert.alert('Preferences', 'Quiet hours must use the 24-hour HH:MM format, e.g. 22:00.');
+      return;
+    }
+    onSave(draft);
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      <Text style={styles.title}>Notification Preferences</Text>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Health categories</Text>
+          {categories.map(category => (
+            <View key={category} style={styles.row}>
+              <Text style={styles.rowLabel}>{category}</Text>
+              <Switch
+                value={allCategories || draft.healthCategories.includes(category)}
+                onValueChange={() => toggleCategory(category)}
+              />
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quiet hours</Text>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>Silence non-urgent notifications</Text>
+            <Switch
+              value={draft.quietHours.enabled}
+              onValueChange={(enabled) => updateQuietHours({ enabled })}
+            />
+          </View>
+          {draft.quietHours.enabled && (
+            <View style={styles.row}>
+              <TextInput
+                style={styles.timeInput}
+                value={draft.quietHours.start}
+                onChangeText={(start) => updateQuietHours({ start })}
+                placeholder="22:00"
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+              />
+              <Text style={styles.rowLabel}>to</Text>
+              <TextInput
+                style={styles.timeInput}
+                value={draft.quietHours.end}
+                onChangeText={(end) => updateQuietHours({ end })}
+                placeholder="07:00"
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+              />
+            </View>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Minimum priority</Text>
+          <View style={styles.chips}>
+            {PRIORITY_LEVELS.map(level => (
+              <TouchableOpacity
+                key={level}
+                style={[styles.chip, draft.minPriority === level && styles.chipSelected]}
+                onPress={() => setDraft({ ...draft, minPriority: level })}
+              >
+                <Text style={[styles.chipText, draft.minPriority === level && styles.chipTextSelected]}>
+                  {level}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+          <Text style={styles.saveButtonText}>{saving ? '⏳ Saving...' : 'Save'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  rowLabel: {
+    fontSize: 14,
+    color: '#555',
+  },
+  timeInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    backgroundColor: '#fff',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginHorizontal: 5,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#e0e0e0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
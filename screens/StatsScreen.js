@@ -0,0 +1,268 @@
+import { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, BackHandler, Platform, ActivityIndicator, RefreshControl } from 'react-native';
+import { getStats, getDevices } from '../api';
+import { buildDashboard, summarizeDevices } from '../deliveryStats';
+import { formatDate, formatDuration } from '../format';
+
+// Status updates tend to arrive in bursts when a batch is sent; refetch once per burst
+const LIVE_REFRESH_DELAY = 2000;
+
+function CountRows({ counts }) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return <Text style={styles.emptyText}>No data</Text>;
+  return entries.map(([label, count]) => (
+    <View key={label} style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={styles.rowValue}>{count}</Text>
+    </View>
+  ));
+}
+
+export default function StatsScreen({ messages, subscribeToStatusUpdates, onBack }) {
+  const [stats, setStats] = useState(null);
+  const [devices, setDevices] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const refreshTimer = useRef(null);
+
+  // Android hardware back returns to the list
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      onBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [onBack]);
+
+  const load = async () => {
+    const [statsResult, devicesResult] = await Promise.all([getStats({ retries: 0 }), getDevices({ retries: 0 })]);
+
+    if (statsResult.success) setStats(statsResult.data);
+    if (devicesResult.success) {
+      const list = Array.isArray(devicesResult.data) ? devicesResult.data : devicesResult.data?.devices;
+      setDevices(Array.isArray(list) ? list : []);
+    }
+
+    const failed = [statsResult, devicesResult].find(result => !result.success);
+    setError(failed ? failed.error : null);
+    setUpdatedAt(new Date().toISOString());
+    setLoading(false);
+    setRefreshing(false);
+  };
+
+  useEffect(() => {
+    load();
+
+    // Live: refetch shortly after socket statusUpdate events
+    const unsubscribe = subscribeToStatusUpdates(() => {
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = setTimeout(load, LIVE_REFRESH_DELAY);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(refreshTimer.current);
+    };
+  }, []);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    load();
+  };
+
+  const dashboard = buildDashboard(stats, messages);
+  const deviceSummary = devices && summarizeDevices(devices);
+  const busiestDay = Math.max(1, ...dashboard.sentPerDay.map(bucket => bucket.count));
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={onBack} style={styles.backButton}>
+        <Text style={styles.backText}>‹ Messages</Text>
+      </TouchableOpacity>
+      <Text style={styles.title}>Delivery Statistics</Text>
+
+      {loading ? (
+        <ActivityIndicator size="large" color="#007AFF" style={styles.loader} />
+      ) : (
+        <ScrollView
+          style={styles.content}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+        >
+          <Text style={styles.updatedText}>
+            ● Live • Updated {formatDate(updatedAt)}
+            {error ? ` • ⚠️ ${error}` : ''}
+          </Text>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Messages by status</Text>
+            <CountRows counts={dashboard.statusCounts} />
+            {dashboard.statusSource === 'device' && (
+              <Text style={styles.note}>Counted from the {messages.length} messages loaded on this device</Text>
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Delivery latency (scheduled → delivered)</Text>
+            {dashboard.latency ? (
+              <>
+                <View style={styles.row}>
+                  <Text style={styles.rowLabel}>Average</Text>
+                  <Text style={styles.rowValue}>{formatDuration(dashboard.latency.average)}</Text>
+                </View>
+                <View style={styles.row}>
+                  <Text style={styles.rowLabel}>Median</Text>
+                  <Text style={styles.rowValue}>{formatDuration(dashboard.latency.median)}</Text>
+                </View>
+                <View style={styles.row}>
+                  <Text style={styles.rowLabel}>95th percentile</Text>
+                  <Text style={styles.rowValue}>{formatDuration(dashboard.latency.p95)}</Text>
+                </View>
+              </>
+            ) : (
+              <Text style={styles.emptyText}>No delivered messages yet</Text>
+            )}
+            {dashboard.latencySource === 'device' && dashboard.latency && (
+              <Text style={styles.note}>
+                From the {dashboard.latency.count} delivered messages among the {messages.length} loaded on this device
+              </Text>
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Sent per day</Text>
+            {dashboard.sentPerDay.map(({ day, count }) => (
+              <View key={day.toISOString()} style={styles.row}>
+                <Text style={styles.dayLabel}>
+                  {day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                </Text>
+                <View style={styles.barTrack}>
+                  <View style={[styles.bar, { width: `${(count / busiestDay) * 100}%` }]} />
+                </View>
+                <Text style={styles.rowValue}>{count}</Text>
+              </View>
+            ))}
+            {dashboard.sentPerDaySource === 'device' && (
+              <Text style={styles.note}>Counted from the {messages.length} messages loaded on this device</Text>
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              Registered devices{deviceSummary ? ` (${deviceSummary.total})` : ''}
+            </Text>
+            {deviceSummary ? (
+              <>
+                <Text style={styles.subTitle}>By platform</Text>
+                <CountRows counts={deviceSummary.byPlatform} />
+                <Text style={styles.subTitle}>By OS</Text>
+                <CountRows counts={deviceSummary.byOs} />
+              </>
+            ) : (
+              <Text style={styles.emptyText}>Device list unavailable</Text>
+            )}
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+  },
+  backButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 5,
+    marginBottom: 10,
+  },
+  backText: {
+    fontSize: 17,
+    color: '#007AFF',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  loader: {
+    marginTop: 50,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  updatedText: {
+    fontSize: 11,
+    color: '#28a745',
+    marginBottom: 10,
+  },
+  section: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  rowLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  rowValue: {
+    fontSize: 13,
+    color: '#333',
+    fontWeight: '500',
+    minWidth: 24,
+    textAlign: 'right',
+  },
+  dayLabel: {
+    fontSize: 12,
+    color: '#666',
+    width: 90,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e0e0e0',
+    marginHorizontal: 8,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: 8,
+    backgroundColor: '#007AFF',
+  },
+  note: {
+    fontSize: 11,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#999',
+  },
+});
@@ -0,0 +1,209 @@
+// mock-bull-queue-server.js - Local Bull Queue Stand-in
+// A small in-memory version of the backend for the test suite and for running
+// the app without the hosted server:
+//
+//   node scripts/mock-bull-queue-server.js     listen on :3001 (PORT overrides)
+//
+// It implements sign-in, the (paginated) message list, single messages,
+// immediate sends and device registration over HTTP, plus the socket.io
+// `statusUpdate` event. The tests start it on a random port with startMockServer() and drive
+// it through the returned handle.
+
+const http = require('http');
+const { Server } = require('socket.io');
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const DEFAULT_USERS = [
+  { id: 'user-1', email: 'patient@sephealth.test', password: 'password', name: 'Test Patient', role: 'patient' },
+];
+
+/**
+ * Start the stand-in.
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1'] - '0.0.0.0' to reach it from a phone on the same network
+ * @param {Array} [options.messages] - initial message list
+ * @param {Array} [options.users] - accounts that can sign in: { id, email, password, name, role }
+ * @returns {Promise<Object>} handle: { url, messages, devices, requests, failNext, delayNext, emitStatusUpdate, requestsTo, close }
+ */
+const startMockServer = ({ port = 0, host = '127.0.0.1', messages = [], users = DEFAULT_USERS } = {}) => {
+  const state = {
+    messages: [...messages],
+    devices: [],
+    requests: [], // { method, path, query, headers, body }
+    failures: new Map(), // "METHOD /path" -> [{ status, body }]
+    delays: new Map(), // "METHOD /path" -> [ms]
+  };
+  let nextId = 1;
+
+  const handle = async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const body = req.method === 'GET' ? undefined : await readBody(req);
+    state.requests.push({ method: req.method, path: pathname, query: Object.fromEntries(searchParams), headers: req.headers, body });
+
+    const delay = state.delays.get(`${req.method} ${pathname}`)?.shift();
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+    // Canned failures queued by the tests
+    const queued = state.failures.get(`${req.method} ${pathname}`);
+    if (queued?.length) {
+      const { status, body: failureBody } = queued.shift();
+      return send(res, status, failureBody);
+    }
+
+    if (req.method === 'GET' && pathname === '/api/health') {
+      return send(res, 200, { success: true, data: { status: 'ok' } });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/auth/login') {
+      const user = users.find(entry => entry.email === body.email && entry.password === body.password);
+      if (!user) return send(res, 401, { success: false, error: 'Invalid email or password' });
+      const { password, ...profile } = user;
+      return send(res, 200, { success: true, data: { token: `token-${user.id}`, user: profile } });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/auth/logout') {
+      return send(res, 200, { success: true });
+    }
+
+    if (req.method === 'GET' && pathname === '/api/push-messages') {
+      const page = Number(searchParams.get('page')) || 1;
+      const limit = Number(searchParams.get('limit')) || state.messages.length;
+      const data = state.messages.slice((page - 1) * limit, page * limit);
+      return send(res, 200, { success: true, data, count: state.messages.length, hasMore: page * limit < state.messages.length });
+    }
+
+    const messageMatch = /^\/api\/push-messages\/([^/]+)$/.exec(pathname);
+    if (req.method === 'GET' && messageMatch) {
+      const message = state.messages.find(entry => entry._id === decodeURIComponent(messageMatch[1]));
+      return message
+        ? send(res, 200, { success: true, data: message })
+        : send(res, 404, { success: false, error: 'Message not found' });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/push-messages/immediate') {
+      const now = new Date().toISOString();
+      const message = {
+        _id: `mock-${nextId++}`,
+        title: body.title || 'SEPHealth',
+        content: body.body || '',
+        category: body.category || 'General',
+        priority: body.priority || 'normal',
+        status: 'Sent',
+        scheduledDateTime: now,
+        deliveredAt: now,
+        updatedAt: now,
+      };
+      state.messages.unshift(message);
+      io.emit('statusUpdate', { messageId: message._id, status: 'Sent', deliveredAt: now });
+      return send(res, 200, { success: true, data: { message, results: [{ success: true }] } });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/device/register') {
+      if (!body.pushToken) return send(res, 400, { success: false, error: 'pushToken is required' });
+      let device = state.devices.find(entry => entry.pushToken === body.pushToken);
+      if (!device) {
+        device = { deviceId: `device-${state.devices.length + 1}` };
+        state.devices.push(device);
+      }
+      Object.assign(device, body);
+      return send(res, 200, { success: true, data: { deviceId: device.deviceId } });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/device/unregister') {
+      state.devices = state.devices.filter(entry => entry.pushToken !== body.pushToken);
+      return send(res, 200, { success: true });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/push-messages/events') {
+      return send(res, 200, { success: true, data: { received: (body.events || []).length } });
+    }
+
+    return send(res, 404, { success: false, error: 'Not found' });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { success: false, error: error.message }));
+  });
+  const io = new Server(server, { cors: { origin: '*' } });
+
+  io.on('connection', (socket) => {
+    socket.on('join', ({ rooms = [] } = {}) => rooms.forEach(room => socket.join(room)));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      const url = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+      resolve({
+        url,
+        get messages() {
+          return state.messages;
+        },
+        set messages(list) {
+          state.messages = list;
+        },
+        get devices() {
+          return state.devices;
+        },
+        get requests() {
+          return state.requests;
+        },
+
+        requestsTo: (method, path) => state.requests.filter(entry => entry.method === method && entry.path === path),
+
+        // Answer the next request to `method path` with this status and body instead
+        failNext: (method, path, status, failureBody = { success: false, error: `HTTP ${status}` }) => {
+          const key = `${method} ${path}`;
+          state.failures.set(key, [...(state.failures.get(key) || []), { status, body: failureBody }]);
+        },
+
+        // Hold the next response to `method path` for `ms`, e.g. to switch backends while it's in flight
+        delayNext: (method, path, ms) => {
+          const key = `${method} ${path}`;
+          state.delays.set(key, [...(state.delays.get(key) || []), ms]);
+        },
+
+        emitStatusUpdate: (update) => io.emit('statusUpdate', update),
+
+        // Also closes the HTTP server
+        close: () => new Promise((done) => {
+          io.close(() => done());
+          server.closeAllConnections();
+        }),
+      });
+    });
+  });
+};
+
+module.exports = { startMockServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3001;
+  startMockServer({ port, host: '0.0.0.0' }).then(({ url }) => {
+    console.log(`🚀 Mock Bull Queue server listening on ${url}`);
+    console.log(`   Point the app at it with EXPO_PUBLIC_API_BASE_URL=${url} (or this machine's LAN IP)`);
+  });
+}
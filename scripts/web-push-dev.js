@@ -0,0 +1,124 @@
+// web-push-dev.js - Local Web Push Stand-in
+// Tries out browser push without the real backend:
+//
+//   node scripts/web-push-dev.js keys     generate a VAPID key pair
+//   node scripts/web-push-dev.js serve    run a tiny backend on :3001 that
+//                                         accepts web registrations and pushes
+//                                         every /immediate message to them
+//
+// Point the web build at it with EXPO_PUBLIC_API_BASE_URL=http://localhost:3001
+// and EXPO_PUBLIC_VAPID_PUBLIC_KEY=<public key>.
+
+const http = require('http');
+const webpush = require('web-push');
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const generateKeys = () => {
+  const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+  console.log('🔑 Add these to your environment:\n');
+  console.log(`EXPO_PUBLIC_VAPID_PUBLIC_KEY=${publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const serve = () => {
+  const publicKey = process.env.EXPO_PUBLIC_VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) {
+    console.error('❌ Set EXPO_PUBLIC_VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (see `keys`)');
+    process.exit(1);
+  }
+  webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:dev@localhost', publicKey, privateKey);
+
+  const subscriptions = new Map(); // endpoint -> PushSubscription JSON
+  const messages = [];
+
+  const pushToAll = (message) => Promise.all([...subscriptions.values()].map(subscription =>
+    webpush.sendNotification(subscription, JSON.stringify({
+      title: message.title,
+      body: message.content,
+      data: { messageId: message._id, category: message.category, priority: message.priority },
+    })).then(() => ({ endpoint: subscription.endpoint, success: true }), (error) => {
+      // 404/410: the browser dropped the subscription
+      if (error.statusCode === 404 || error.statusCode === 410) subscriptions.delete(subscription.endpoint);
+      return { endpoint: subscription.endpoint, success: false, error: error.message };
+    })
+  ));
+
+  http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (req.method === 'GET' && pathname === '/api/health') {
+      return send(res, 200, { success: true, data: { status: 'ok', subscriptions: subscriptions.size } });
+    }
+
+    if (req.method === 'GET' && pathname === '/api/push-messages') {
+      return send(res, 200, { success: true, data: messages, count: messages.length });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/device/register') {
+      const body = await readBody(req);
+      if (body.webPushSubscription?.endpoint) {
+        subscriptions.set(body.webPushSubscription.endpoint, body.webPushSubscription);
+        console.log(`🌐 Registered web subscription (${subscriptions.size} total)`);
+      }
+      return send(res, 200, { success: true, data: { deviceId: `dev-${subscriptions.size}` } });
+    }
+
+    if (req.method === 'POST' && pathname === '/api/push-messages/immediate') {
+      const body = await readBody(req);
+      const now = new Date().toISOString();
+      const message = {
+        _id: String(Date.now()),
+        title: body.title || 'SEPHealth',
+        content: body.body || '',
+        category: body.category || 'General',
+        priority: body.priority || 'normal',
+        status: 'Sent',
+        scheduledDateTime: now,
+        updatedAt: now,
+      };
+      messages.unshift(message);
+      const results = await pushToAll(message);
+      console.log(`📨 Pushed "${message.title}" to ${results.length} subscription(s)`);
+      return send(res, 200, { success: true, data: { message, results } });
+    }
+
+    return send(res, 404, { success: false, error: 'Not found' });
+  }).listen(PORT, () => {
+    console.log(`🚀 Web Push stand-in listening on http://localhost:${PORT}`);
+  });
+};
+
+const command = process.argv[2];
+if (command === 'keys') {
+  generateKeys();
+} else if (command === 'serve') {
+  serve();
+} else {
+  console.log('Usage: node scripts/web-push-dev.js <keys|serve>');
+  process.exit(1);
+}
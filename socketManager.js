@@ -0,0 +1,139 @@
+// socketManager.js - Socket.io Lifecycle Manager
+// Owns the real-time connection: authenticates with the registered device,
+// joins its rooms, tracks connection state and asks for a re-sync after
+// every reconnect (updates may have been missed while disconnected).
+
+import { io } from 'socket.io-client';
+
+export const SOCKET_STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline',
+};
+
+/**
+ * Create and connect a socket for the given server.
+ * @param {string} url - Bull Queue server base URL
+ * @param {Object} handlers
+ * @param {Function} [handlers.onStatusUpdate] - called with each `statusUpdate` event
+ * @param {Function} [handlers.onStateChange] - called with (state, detail) on every state change
+ * @param {Function} [handlers.onResync] - called after a reconnect so missed updates can be fetched
+ * @param {Object} [ioOptions] - extra socket.io-client options (tests use this to shorten delays)
+ */
+export const createSocketManager = (url, handlers = {}, ioOptions = {}) => {
+  const { onStatusUpdate, onStateChange, onResync } = handlers;
+
+  let identity = {}; // { deviceId, pushToken, userId }
+  let state = SOCKET_STATES.CONNECTING;
+  let hasConnected = false;
+
+  const setState = (next, detail = {}) => {
+    if (next === state && detail.attempt === undefined) return;
+    state = next;
+    onStateChange?.(next, detail);
+  };
+
+  const socket = io(url, {
+    // Evaluated on every (re)connect, so the handshake always carries the latest identity
+    auth: (cb) => cb({
+      deviceId: identity.deviceId || null,
+      pushToken: identity.pushToken || null,
+      userId: identity.userId || null,
+    }),
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 30000,
+    ...ioOptions,
+  });
+
+  const rooms = () => [
+    identity.deviceId && `device:${identity.deviceId}`,
+    identity.userId && `user:${identity.userId}`,
+  ].filter(Boolean);
+
+  const joinRooms = () => {
+    const names = rooms();
+    if (names.length === 0) return;
+    console.log('🚪 Joining socket rooms:', names.join(', '));
+    socket.emit('join', { rooms: names, ...identity });
+  };
+
+  socket.on('connect', () => {
+    const isReconnect = hasConnected;
+    hasConnected = true;
+    console.log(`🔌 Real-time Socket.io ${isReconnect ? 're' : ''}connected to:`, url);
+    setState(SOCKET_STATES.CONNECTED);
+    joinRooms();
+
+    if (isReconnect) {
+      onResync?.();
+    }
+  });
+
+  socket.on('disconnect', (reason) => {
+    console.log('🔌 Socket.io disconnected:', reason);
+    // socket.active is false when neither side will reconnect (manual disconnect or server kick)
+    setState(socket.active ? SOCKET_STATES.RECONNECTING : SOCKET_STATES.OFFLINE, { reason });
+  });
+
+  socket.on('connect_error', (err) => {
+    console.log('⚠️ Socket.io connection error:', err.message);
+    if (!socket.active) {
+      // Rejected by the server (e.g. auth middleware); socket.io won't retry on its own
+      setState(SOCKET_STATES.OFFLINE, { error: err.message });
+    } else if (hasConnected) {
+      setState(SOCKET_STATES.RECONNECTING, { error: err.message });
+    }
+  });
+
+  socket.io.on('reconnect_attempt', (attempt) => {
+    setState(SOCKET_STATES.RECONNECTING, { attempt });
+  });
+
+  socket.io.on('reconnect_failed', () => {
+    setState(SOCKET_STATES.OFFLINE, { error: 'Reconnection failed' });
+  });
+
+  socket.on('statusUpdate', (update) => {
+    onStatusUpdate?.(update);
+  });
+
+  return {
+    socket,
+
+    getState: () => state,
+
+    // 'websocket' or 'polling' (before the upgrade, or when websockets are blocked)
+    getTransport: () => (socket.connected ? socket.io.engine?.transport?.name || null : null),
+
+    // Attach the registered device/user. Rooms are joined (and rooms that no
+    // longer apply, e.g. after sign-out, left) right away when connected, and
+    // the new identity is sent on the next handshake.
+    setIdentity: (next) => {
+      const previousRooms = rooms();
+      identity = { ...identity, ...next };
+      if (!socket.connected) return;
+
+      const current = rooms();
+      const stale = previousRooms.filter(room => !current.includes(room));
+      if (stale.length > 0) {
+        socket.emit('leave', { rooms: stale });
+      }
+      joinRooms();
+    },
+
+    // Try again after the server refused us or reconnection gave up
+    reconnect: () => {
+      if (!socket.connected) {
+        setState(SOCKET_STATES.CONNECTING);
+        socket.connect();
+      }
+    },
+
+    disconnect: () => {
+      socket.disconnect();
+    },
+  };
+};
+
+export default { createSocketManager, SOCKET_STATES };
@@ -0,0 +1,127 @@
+// webPush.js - Browser Push Notifications
+// Web Push for the react-native-web build: registers the service worker in
+// public/sw.js, subscribes with the server's VAPID key and shows browser
+// notifications. Every export is a no-op outside a browser.
+
+import { APP_CONFIG } from './config';
+
+const SERVICE_WORKER_PATH = '/sw.js';
+
+export const isWebPushSupported = () =>
+  typeof window !== 'undefined' &&
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+// VAPID public keys are URL-safe base64; PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+/**
+ * Register the service worker and subscribe to pushes. Browsers only show the
+ * permission prompt in response to a click (Firefox and Safari reject it
+ * otherwise), so pass `prompt` only from a button handler. Without it this
+ * succeeds only when permission was granted before.
+ * @param {Object} [options]
+ * @param {boolean} [options.prompt=false] - ask for permission if it hasn't been answered yet
+ * @returns {Promise<{success: boolean, permission: string, subscription?: {endpoint: string, keys: {p256dh: string, auth: string}}, error?: string}>}
+ * `permission` is 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+ */
+export const subscribeToWebPush = async ({ prompt = false } = {}) => {
+  if (!isWebPushSupported()) {
+    return { success: false, permission: 'unsupported', error: 'This browser does not support Web Push' };
+  }
+  if (!APP_CONFIG.webPush.vapidPublicKey) {
+    return { success: false, permission: Notification.permission, error: 'EXPO_PUBLIC_VAPID_PUBLIC_KEY is not set' };
+  }
+
+  try {
+    // Ask before any other await, while the click still counts as a user gesture
+    const permission = prompt && Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    if (permission !== 'granted') {
+      return {
+        success: false,
+        permission,
+        error: permission === 'default' ? 'Notifications have not been enabled yet' : 'Notification permission was not granted',
+      };
+    }
+
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+    await navigator.serviceWorker.ready;
+
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(APP_CONFIG.webPush.vapidPublicKey),
+      });
+
+    console.log('🌐 Web Push subscription ready:', subscription.endpoint);
+    return { success: true, permission, subscription: subscription.toJSON() };
+  } catch (error) {
+    console.log('⚠️ Could not subscribe to Web Push:', error.message);
+    return { success: false, permission: Notification.permission, error: error.message };
+  }
+};
+
+export const canShowWebNotifications = () =>
+  isWebPushSupported() && Notification.permission === 'granted';
+
+/**
+ * Show a browser notification through the service worker. The tag is shared
+ * with pushes shown by sw.js, so a message is never displayed twice.
+ */
+export const showWebNotification = async ({ title, body, data = {} }) => {
+  if (!canShowWebNotifications()) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, {
+      body,
+      data,
+      icon: '/favicon.ico',
+      image: data.imageUrl || undefined,
+      tag: data.messageId ? `message-${data.messageId}` : undefined,
+    });
+    return true;
+  } catch (error) {
+    console.log('⚠️ Could not show web notification:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Listen for messages from the service worker.
+ * @param {Function} handler - called with { type: 'push' | 'open', messageId }
+ * @returns {Function} unsubscribe
+ */
+export const addServiceWorkerListener = (handler) => {
+  if (!isWebPushSupported()) return () => {};
+
+  const listener = (event) => {
+    if (event.data?.source === 'sephealth-sw') handler(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
+
+// sw.js opens /?messageId=<id> when a notification is clicked with no app window open
+export const getLaunchMessageId = () => {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get('messageId');
+};
+
+export default {
+  isWebPushSupported,
+  subscribeToWebPush,
+  canShowWebNotifications,
+  showWebNotification,
+  addServiceWorkerListener,
+  getLaunchMessageId,
+};